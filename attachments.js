@@ -0,0 +1,207 @@
+"use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+// File types that may be attached, by extension
+const TYPES = { ".csv": "csv", ".tsv": "tsv", ".json": "json", ".txt": "text" };
+// Characters a name may not contain (it is quoted inside the prompt)
+const UNSAFE_NAME = /[\u0000-\u001f"<>\\]/;
+const MAX_NAME_LENGTH = 200;
+
+const cut = (text, length) =>
+  text.length > length ? text.slice(0, Math.max(length - 1, 0)) + "…" : text;
+
+// Keep the first and last items that fit in `budget` characters, with a
+// marker for the ones in between
+function keepEnds(items, budget, noun) {
+  const total = items.reduce((n, item) => n + item.length + 1, 0);
+  if (total <= budget) return { items, omitted: 0 };
+  const head = [];
+  const tail = [];
+  let used = 40; // room for the marker
+  for (let i = 0, j = items.length - 1; i <= j; ) {
+    const next = head.length <= tail.length ? items[i] : items[j];
+    if (used + next.length + 1 > budget) break;
+    used += next.length + 1;
+    if (head.length <= tail.length) head.push(items[i++]);
+    else tail.unshift(items[j--]);
+  }
+  const omitted = items.length - head.length - tail.length;
+  return {
+    items: [...head, `… ${omitted} ${noun} omitted …`, ...tail],
+    omitted,
+  };
+}
+
+// min/max/first/last of every all-numeric column
+function columnStats(header, rows, separator) {
+  const cells = rows.map((row) => row.split(separator));
+  const lines = [];
+  header.forEach((name, col) => {
+    const values = cells
+      .map((c) => c[col]?.trim())
+      .filter((v) => v !== undefined && v !== "");
+    const numbers = values.map(Number);
+    if (numbers.length === 0 || numbers.some((n) => !Number.isFinite(n))) {
+      return;
+    }
+    const min = numbers.reduce((a, b) => Math.min(a, b));
+    const max = numbers.reduce((a, b) => Math.max(a, b));
+    const [first, last] = [numbers[0], numbers[numbers.length - 1]];
+    lines.push(
+      `${name.trim()}: min ${min}, max ${max}, first ${first}, last ${last}`,
+    );
+  });
+  return lines;
+}
+
+function summarizeTable(text, separator, budget) {
+  const [headerLine = "", ...rows] = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+  const header = headerLine.split(separator);
+  const summary = [
+    `${rows.length} rows; columns: ${header.map((h) => h.trim()).join(", ")}`,
+    ...columnStats(header, rows, separator),
+  ]
+    .map((line) => cut(line, 300))
+    .join("\n");
+  const room = budget - summary.length - headerLine.length - 2;
+  const kept = keepEnds(rows, room, "rows");
+  return {
+    text: cut(`${summary}\n${headerLine}\n${kept.items.join("\n")}`, budget),
+    truncated: kept.omitted > 0,
+  };
+}
+
+function summarizeJson(text, budget) {
+  const value = JSON.parse(text);
+  const compact = JSON.stringify(value);
+  if (compact.length <= budget) return { text: compact, truncated: false };
+  if (Array.isArray(value)) {
+    const note = `${value.length} items\n`;
+    const kept = keepEnds(
+      value.map((item) => JSON.stringify(item)),
+      budget - note.length,
+      "items",
+    );
+    return {
+      text: cut(note + kept.items.join("\n"), budget),
+      truncated: true,
+    };
+  }
+  return { text: cut(compact, budget), truncated: true };
+}
+
+/**
+ * Local data files callers may attach to a prompt (zero dependencies).
+ * Only regular .csv, .tsv, .json and .txt files inside `dir` can be read;
+ * symlinks pointing outside it are refused. Each file gets an equal share of
+ * `maxChars`: tables keep their header, a summary (row count, columns and
+ * min/max/first/last of numeric columns) and their first and last rows;
+ * JSON arrays keep their first and last items.
+ * @param {object} opts
+ * @param {string} opts.dir - Data directory (default ~/.ai-stocks/data)
+ * @param {number} opts.maxFiles - Attachments per request (default 5)
+ * @param {number} opts.maxFileBytes - Largest file accepted (default 1 MB)
+ * @param {number} opts.maxChars - Attachment text per prompt (default 12000)
+ */
+function createAttachmentReader({
+  dir,
+  maxFiles = 5,
+  maxFileBytes = 1024 * 1024,
+  maxChars = 12_000,
+} = {}) {
+  const dataDir = dir || path.join(os.homedir(), ".ai-stocks", "data");
+  fs.mkdirSync(dataDir, { recursive: true, mode: 0o700 });
+
+  const inside = (root, file) => file.startsWith(root + path.sep);
+
+  // Absolute path of an allowed file; throws naming the problem
+  function locate(name) {
+    if (
+      typeof name !== "string" ||
+      name.length === 0 ||
+      name.length > MAX_NAME_LENGTH ||
+      UNSAFE_NAME.test(name)
+    ) {
+      throw new Error("must be a relative file name");
+    }
+    if (path.isAbsolute(name) || name.split(/[/\\]/).includes("..")) {
+      throw new Error("must stay inside the data directory");
+    }
+    if (!Object.hasOwn(TYPES, path.extname(name).toLowerCase())) {
+      const allowed = Object.keys(TYPES).join(", ");
+      throw new Error(`type not allowed (use ${allowed})`);
+    }
+    const root = fs.realpathSync(dataDir);
+    let file;
+    try {
+      file = fs.realpathSync(path.resolve(root, name));
+    } catch {
+      throw new Error("not found");
+    }
+    if (!inside(root, file)) {
+      throw new Error("must stay inside the data directory");
+    }
+    const stat = fs.statSync(file);
+    if (!stat.isFile()) throw new Error("not a file");
+    if (stat.size > maxFileBytes) {
+      throw new Error(`larger than ${maxFileBytes} bytes`);
+    }
+    return { file, bytes: stat.size };
+  }
+
+  return {
+    /**
+     * Read and trim the files named in a request's `attachments`.
+     * @param {string[]} names - Paths relative to the data directory
+     * @returns {{ name, type, bytes, truncated, text }[]}
+     * @throws {Error} naming the first unusable attachment
+     */
+    load(names) {
+      if (!Array.isArray(names)) {
+        throw new Error("attachments must be an array of file names");
+      }
+      if (names.length > maxFiles) {
+        throw new Error(`At most ${maxFiles} attachments per request`);
+      }
+      const unique = [...new Set(names)];
+      const budget = Math.floor(maxChars / Math.max(unique.length, 1));
+      return unique.map((name) => {
+        try {
+          const { file, bytes } = locate(name);
+          const raw = fs.readFileSync(file, "utf-8");
+          if (raw.includes("\u0000")) throw new Error("not a text file");
+          const type = TYPES[path.extname(name).toLowerCase()];
+          let trimmed;
+          if (type === "csv" || type === "tsv") {
+            trimmed = summarizeTable(raw, type === "csv" ? "," : "\t", budget);
+          } else if (type === "json") {
+            try {
+              trimmed = summarizeJson(raw, budget);
+            } catch (e) {
+              if (e instanceof SyntaxError) throw new Error("invalid JSON");
+              throw e;
+            }
+          } else {
+            trimmed = {
+              text: cut(raw, budget),
+              truncated: raw.length > budget,
+            };
+          }
+          return { name, type, bytes, ...trimmed };
+        } catch (e) {
+          const at = `attachments[${names.indexOf(name)}]`;
+          throw new Error(`${at} (${cut(String(name), 60)}): ${e.message}`);
+        }
+      });
+    },
+    getDir() {
+      return dataDir;
+    },
+  };
+}
+
+module.exports = { createAttachmentReader };
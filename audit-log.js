@@ -0,0 +1,128 @@
+"use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const zlib = require("node:zlib");
+
+/**
+ * Structured audit log — one JSON object per line (zero dependencies).
+ * When the active file grows past `maxBytes` it becomes `<file>.1`, older
+ * generations shift up and anything beyond `generations` is deleted.
+ * Rotated generations are optionally gzip-compressed (`<file>.1.gz`).
+ * @param {object} opts
+ * @param {string} opts.file - Log path (default ~/.ai-stocks/bridge.log)
+ * @param {number} opts.maxBytes - Rotate above this size (default 5MB)
+ * @param {number} opts.generations - Rotated files to keep (default 3)
+ * @param {boolean} opts.gzip - Compress rotated files (default false)
+ */
+function createAuditLog({
+  file,
+  maxBytes = 5 * 1024 * 1024,
+  generations = 3,
+  gzip = false,
+} = {}) {
+  const logFile = file || path.join(os.homedir(), ".ai-stocks", "bridge.log");
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+
+  // Existing path of generation n (plain or gzipped), or null
+  function generationPath(n) {
+    for (const candidate of [`${logFile}.${n}`, `${logFile}.${n}.gz`]) {
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  function rotate() {
+    const oldest = generationPath(generations);
+    if (oldest) fs.unlinkSync(oldest);
+    for (let n = generations - 1; n >= 1; n--) {
+      const from = generationPath(n);
+      if (from) {
+        const suffix = from.endsWith(".gz") ? ".gz" : "";
+        fs.renameSync(from, `${logFile}.${n + 1}${suffix}`);
+      }
+    }
+    if (generations < 1) {
+      fs.unlinkSync(logFile);
+    } else if (gzip) {
+      fs.writeFileSync(
+        `${logFile}.1.gz`,
+        zlib.gzipSync(fs.readFileSync(logFile)),
+      );
+      fs.unlinkSync(logFile);
+    } else {
+      fs.renameSync(logFile, `${logFile}.1`);
+    }
+  }
+
+  function readLines(p) {
+    const raw = fs.readFileSync(p);
+    const text = p.endsWith(".gz")
+      ? zlib.gunzipSync(raw).toString("utf-8")
+      : raw.toString("utf-8");
+    return text.split("\n");
+  }
+
+  return {
+    /** Append one entry; `ts` is added automatically. */
+    write(entry) {
+      const line = JSON.stringify({ ts: new Date().toISOString(), ...entry });
+      try {
+        if (fs.statSync(logFile).size > maxBytes) rotate();
+      } catch {
+        /* file doesn't exist yet */
+      }
+      fs.appendFileSync(logFile, line + "\n", { mode: 0o600 });
+    },
+
+    /**
+     * Read entries across all generations, oldest first.
+     * Lines that are not JSON (e.g. from older bridge versions) are skipped.
+     * @param {object} filter
+     * @param {number} filter.since - Only entries at or after this epoch ms
+     * @param {string} filter.cli - Exact CLI name (multi runs match each member)
+     * @param {string} filter.status - Exact status
+     * @param {string} filter.client - Exact client ("owner" or a client ID)
+     * @param {number} filter.limit - Return at most the newest N matches (default 200)
+     */
+    query({ since, cli, status, client, limit = 200 } = {}) {
+      const files = [];
+      for (let n = generations; n >= 1; n--) {
+        const p = generationPath(n);
+        if (p) files.push(p);
+      }
+      if (fs.existsSync(logFile)) files.push(logFile);
+
+      const matches = [];
+      for (const p of files) {
+        for (const line of readLines(p)) {
+          if (!line.startsWith("{")) continue;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch {
+            continue;
+          }
+          if (since !== undefined && Date.parse(entry.ts) < since) continue;
+          if (status !== undefined && entry.status !== status) continue;
+          if (client !== undefined && entry.client !== client) continue;
+          if (
+            cli !== undefined &&
+            entry.cli !== cli &&
+            !(entry.clis || []).includes(cli)
+          ) {
+            continue;
+          }
+          matches.push(entry);
+        }
+      }
+      return matches.slice(-limit);
+    },
+
+    getFile() {
+      return logFile;
+    },
+  };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,165 @@
+"use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+/**
+ * Circuit breaker per client or origin (zero dependencies).
+ * `threshold` violations by one key within `windowMs` ban that key. The first
+ * ban lasts `banMs` and each further one twice as long as the one before, up
+ * to `maxBanMs`; a key that stays out of trouble for `forgetMs` after its last
+ * ban starts again from `banMs`.
+ * State lives in bans.json (mode 0600) and is re-read whenever it changes on
+ * disk, so bans lifted by another process apply without a restart.
+ * @param {object} opts
+ * @param {string} opts.dir - Directory for bans.json (default ~/.ai-stocks)
+ * @param {number} opts.threshold - Violations that trigger a ban (default 5)
+ * @param {number} opts.windowMs - Window violations are counted in (default 1 min)
+ * @param {number} opts.banMs - First ban (default 1 min)
+ * @param {number} opts.maxBanMs - Longest ban (default 24 h)
+ * @param {number} opts.forgetMs - Quiet time after a ban that resets the
+ *   backoff (default 24 h)
+ */
+function createCircuitBreaker({
+  dir,
+  threshold = 5,
+  windowMs = 60_000,
+  banMs = 60_000,
+  maxBanMs = 24 * 60 * 60_000,
+  forgetMs = 24 * 60 * 60_000,
+} = {}) {
+  const stateDir = dir || path.join(os.homedir(), ".ai-stocks");
+  const stateFile = path.join(stateDir, "bans.json");
+  fs.mkdirSync(stateDir, { recursive: true });
+
+  // key → { violations: number[], strikes, bannedUntil }
+  let entries = {};
+  let fileMtime = null;
+
+  function load() {
+    let stat;
+    try {
+      stat = fs.statSync(stateFile);
+    } catch {
+      entries = {};
+      fileMtime = null;
+      return;
+    }
+    if (stat.mtimeMs === fileMtime) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
+      entries = data && typeof data.entries === "object" ? data.entries : {};
+    } catch {
+      // Unreadable state — start clean rather than lock everyone out
+      entries = {};
+    }
+    fileMtime = stat.mtimeMs;
+  }
+
+  function save() {
+    fs.writeFileSync(stateFile, JSON.stringify({ entries }, null, 2) + "\n", {
+      mode: 0o600,
+    });
+    fileMtime = fs.statSync(stateFile).mtimeMs;
+  }
+
+  // Drop old violations, and whole entries with nothing left to remember
+  function prune(now) {
+    for (const [key, entry] of Object.entries(entries)) {
+      entry.violations = entry.violations.filter((t) => t > now - windowMs);
+      if (entry.strikes > 0 && now > entry.bannedUntil + forgetMs) {
+        entry.strikes = 0;
+      }
+      if (
+        entry.violations.length === 0 &&
+        entry.strikes === 0 &&
+        entry.bannedUntil <= now
+      ) {
+        delete entries[key];
+      }
+    }
+  }
+
+  const retryAfter = (entry, now) =>
+    entry ? Math.max(0, entry.bannedUntil - now) : 0;
+
+  return {
+    /**
+     * Count a violation against `key`.
+     * @returns {{ banned: boolean, bannedUntil?: number, strikes?: number }}
+     *   `banned` is true when this violation started a ban
+     */
+    record(key) {
+      load();
+      const now = Date.now();
+      prune(now);
+      const entry = (entries[key] ??= {
+        violations: [],
+        strikes: 0,
+        bannedUntil: 0,
+      });
+      entry.violations.push(now);
+      let banned = false;
+      if (entry.violations.length >= threshold) {
+        const duration = Math.min(banMs * 2 ** entry.strikes, maxBanMs);
+        entry.bannedUntil = now + duration;
+        entry.strikes++;
+        entry.violations = [];
+        banned = true;
+      }
+      save();
+      return banned
+        ? { banned, bannedUntil: entry.bannedUntil, strikes: entry.strikes }
+        : { banned };
+    },
+    /** Milliseconds until `key` may make requests again (0 = not banned). */
+    retryAfterMs(key) {
+      load();
+      return retryAfter(entries[key], Date.now());
+    },
+    /**
+     * Every key with recent violations, a ban or a backoff, most recently
+     * banned first.
+     * @returns {{ key, banned, bannedUntil, retryAfterMs, strikes, violations }[]}
+     */
+    status() {
+      load();
+      const now = Date.now();
+      prune(now);
+      return Object.entries(entries)
+        .map(([key, entry]) => ({
+          key,
+          banned: entry.bannedUntil > now,
+          bannedUntil: entry.bannedUntil || null,
+          retryAfterMs: retryAfter(entry, now),
+          strikes: entry.strikes,
+          violations: entry.violations.length,
+        }))
+        .sort((a, b) => (b.bannedUntil || 0) - (a.bannedUntil || 0));
+    },
+    /** Clear the ban, backoff and violations of `key`; false if unknown. */
+    lift(key) {
+      load();
+      if (!Object.hasOwn(entries, key)) return false;
+      delete entries[key];
+      save();
+      return true;
+    },
+    /** Clear every key; returns how many were banned. */
+    liftAll() {
+      load();
+      const now = Date.now();
+      const banned = Object.values(entries).filter(
+        (entry) => entry.bannedUntil > now,
+      ).length;
+      entries = {};
+      save();
+      return banned;
+    },
+    getFile() {
+      return stateFile;
+    },
+  };
+}
+
+module.exports = { createCircuitBreaker };
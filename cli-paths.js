@@ -0,0 +1,79 @@
+"use strict";
+const fs = require("node:fs");
+const { which } = require("./which");
+
+/**
+ * Resolved CLI executables, locked against PATH hijacking (zero dependencies).
+ * A rescan re-runs `which` but only ever fills in CLIs that had no path.
+ * A CLI found somewhere else than its locked path keeps the locked path
+ * (restart to accept the new one); each new location is reported once.
+ * A locked path that disappears is reported
+ * missing, and reported restored if the file comes back.
+ * @param {object} registry - CLI registry (name → { cmd })
+ * @param {object} opts
+ * @param {(cmd: string) => string|null} opts.resolve - Lookup (default which)
+ * @param {(path: string) => boolean} opts.exists - File check (default fs.existsSync)
+ */
+function createCliPaths(registry, { resolve = which, exists = fs.existsSync } = {}) {
+  const paths = {};
+  const missing = new Set();
+  const reportedMoves = new Map(); // name → last reported foundPath
+  for (const [name, info] of Object.entries(registry)) {
+    paths[name] = resolve(info.cmd);
+  }
+
+  const get = (name) => (missing.has(name) ? null : paths[name] || null);
+
+  return {
+    /** Locked path of an available CLI, or null. */
+    get,
+    /** name → locked path (null when not installed or missing). */
+    all() {
+      const view = {};
+      for (const name of Object.keys(paths)) view[name] = get(name);
+      return view;
+    },
+    /**
+     * Look for CLIs again. Returns what changed, each as
+     * `{ cli, change: "added"|"missing"|"restored"|"path-changed", path, foundPath? }`;
+     * only "added" and "restored" make a CLI available.
+     */
+    rescan() {
+      const changes = [];
+      for (const [name, info] of Object.entries(registry)) {
+        const locked = paths[name];
+        if (!locked) {
+          const found = resolve(info.cmd);
+          if (found) {
+            paths[name] = found;
+            changes.push({ cli: name, change: "added", path: found });
+          }
+          continue;
+        }
+        if (!exists(locked)) {
+          if (!missing.has(name)) {
+            missing.add(name);
+            changes.push({ cli: name, change: "missing", path: locked });
+          }
+          continue;
+        }
+        if (missing.delete(name)) {
+          changes.push({ cli: name, change: "restored", path: locked });
+        }
+        const found = resolve(info.cmd);
+        if (found && found !== locked && reportedMoves.get(name) !== found) {
+          reportedMoves.set(name, found);
+          changes.push({
+            cli: name,
+            change: "path-changed",
+            path: locked,
+            foundPath: found,
+          });
+        }
+      }
+      return changes;
+    },
+  };
+}
+
+module.exports = { createCliPaths };
@@ -0,0 +1,188 @@
+"use strict";
+const { parseArgs } = require("node:util");
+
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+const HELP = `Usage: ai-stocks-bridge [command] [options]
+
+Commands:
+  serve                       Start the bridge (default)
+  doctor                      Check config, token, data directories and every CLI
+                              (path, version, environment, login, test prompt)
+  test-cli <name>             Run one CLI with a short prompt and show the result
+  token show|rotate|revoke    Print the session token, rotate it (the old one
+                              stays valid for token.graceMs) or replace it at once
+  clients list|add|revoke     Manage paired client credentials
+  bans list|lift <key|all>    Show circuit breaker bans or lift one (key as
+                              shown by list, e.g. origin:https://trilo.tw)
+
+Serve options:
+  -p, --port <n>              Port to listen on (default $PORT or 7890)
+      --host <addr>           Loopback address: 127.0.0.1 (default), localhost or ::1
+  -c, --config <file>         Config file (default ~/.ai-stocks/bridge.config.json)
+      --log-level <level>     error, warn, info (default) or debug
+      --allow-origin <origin> Extra allowed origin, repeatable (http://localhost:* ok)
+      --max-concurrent <n>    CLI runs at once across all CLIs (default 5)
+      --rate-limit <n>        Requests per client bucket (default 15)
+      --rate-refill-ms <ms>   Milliseconds per refilled request (default 6000)
+      --audit-log <file>      Audit log path (default ~/.ai-stocks/bridge.log)
+      --rescan-interval-ms <ms>
+                              Look for newly installed CLIs this often (default off)
+
+Other options:
+  -c, --config <file>         Config file (doctor, test-cli, token rotate)
+      --quick                 Skip the test prompt (doctor)
+      --prompt <text>         Prompt for test-cli (default asks for "OK")
+      --label <name>          Client label (clients add)
+      --clis <a,b>            Allowed CLIs (clients add; default all)
+      --capacity <n>          Client rate-limit bucket size (clients add)
+      --refill-ms <ms>        Client rate-limit refill interval (clients add)
+  -h, --help                  Show this help
+  -v, --version               Show the version
+
+Per-CLI settings (command, model, timeout, concurrency) live in the config file.`;
+
+const GLOBAL_OPTIONS = {
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+};
+const PORT_OPTION = { port: { type: "string", short: "p" } };
+const CONFIG_OPTION = { config: { type: "string", short: "c" } };
+
+// Options per command. `args` is the number of positionals, or for commands
+// with actions, the number of arguments after each action.
+const COMMANDS = {
+  serve: {
+    args: 0,
+    options: {
+      ...PORT_OPTION,
+      ...CONFIG_OPTION,
+      host: { type: "string" },
+      "log-level": { type: "string" },
+      "allow-origin": { type: "string", multiple: true },
+      "max-concurrent": { type: "string" },
+      "rate-limit": { type: "string" },
+      "rate-refill-ms": { type: "string" },
+      "audit-log": { type: "string" },
+      "rescan-interval-ms": { type: "string" },
+    },
+  },
+  doctor: {
+    args: 0,
+    options: { ...CONFIG_OPTION, quick: { type: "boolean" } },
+  },
+  "test-cli": {
+    args: 1,
+    options: { ...CONFIG_OPTION, prompt: { type: "string" } },
+  },
+  token: {
+    actions: { show: 0, rotate: 0, revoke: 0 },
+    options: { ...CONFIG_OPTION },
+  },
+  clients: {
+    actions: { list: 0, add: 1, revoke: 1 },
+    options: {
+      label: { type: "string" },
+      clis: { type: "string" },
+      capacity: { type: "string" },
+      "refill-ms": { type: "string" },
+    },
+  },
+  bans: {
+    actions: { list: 0, lift: 1 },
+    options: {},
+  },
+};
+
+function toInt(flag, value, min, max) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!/^\d+$/.test(value) || n < min || n > max) {
+    throw new Error(`--${flag} must be an integer between ${min} and ${max}`);
+  }
+  return n;
+}
+
+const camelCase = (flag) => flag.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+
+/**
+ * Parse `ai-stocks-bridge` arguments (argv without node and the script).
+ * Running with only options means `serve`. Numeric options are converted and
+ * range-checked; option names are returned in camelCase.
+ * Throws with a usage message on anything invalid.
+ * @returns {{ command: string, action: string|null, positionals: string[], options: object }}
+ *   `positionals` excludes the action
+ */
+function parseCommandLine(argv) {
+  const command = argv[0] && !argv[0].startsWith("-") ? argv[0] : "serve";
+  const spec = COMMANDS[command];
+  if (!spec) throw new Error(`Unknown command "${command}"`);
+  const rest = command === "serve" && argv[0] !== "serve" ? argv : argv.slice(1);
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...spec.options },
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (e) {
+    throw new Error(`${command}: ${e.message}`);
+  }
+
+  const options = {};
+  for (const [flag, value] of Object.entries(parsed.values)) {
+    options[camelCase(flag)] = value;
+  }
+  if (options.help || options.version) {
+    return { command, action: null, positionals: [], options };
+  }
+
+  let positionals = parsed.positionals;
+  let action = null;
+  let expected = spec.args;
+  if (spec.actions) {
+    action = positionals[0];
+    if (!Object.hasOwn(spec.actions, action)) {
+      throw new Error(
+        `Usage: ai-stocks-bridge ${command} ${Object.keys(spec.actions).join("|")}`,
+      );
+    }
+    positionals = positionals.slice(1);
+    expected = spec.actions[action];
+  }
+  const label = action ? `${command} ${action}` : command;
+  if (positionals.length < expected) {
+    throw new Error(`${label}: missing argument`);
+  }
+  if (positionals.length > expected) {
+    throw new Error(`${label}: unexpected argument "${positionals[expected]}"`);
+  }
+
+  options.port = toInt("port", options.port, 1, 65535);
+  options.maxConcurrent = toInt("max-concurrent", options.maxConcurrent, 1, 100);
+  options.rateLimit = toInt("rate-limit", options.rateLimit, 1, 1000);
+  options.rateRefillMs = toInt("rate-refill-ms", options.rateRefillMs, 100, 3_600_000);
+  options.rescanIntervalMs = toInt(
+    "rescan-interval-ms",
+    options.rescanIntervalMs,
+    1000,
+    86_400_000,
+  );
+  options.capacity = toInt("capacity", options.capacity, 1, 1000);
+  options.refillMs = toInt("refill-ms", options.refillMs, 100, 3_600_000);
+  if (options.host !== undefined && !LOOPBACK_HOSTS.includes(options.host)) {
+    throw new Error(`--host must be one of ${LOOPBACK_HOSTS.join(", ")}`);
+  }
+  if (options.logLevel !== undefined && !LOG_LEVELS.includes(options.logLevel)) {
+    throw new Error(`--log-level must be one of ${LOG_LEVELS.join(", ")}`);
+  }
+  for (const key of Object.keys(options)) {
+    if (options[key] === undefined) delete options[key];
+  }
+  return { command, action, positionals, options };
+}
+
+module.exports = { parseCommandLine, HELP, LOG_LEVELS };
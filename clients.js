@@ -0,0 +1,176 @@
+"use strict";
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const ORIGIN_PATTERN = /^https?:\/\/[^/\s]+$/;
+const CLI_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// Throws on the first invalid field; returns the normalized client fields
+function validateClient({ origin, label, clis, rateLimit }) {
+  if (typeof origin !== "string" || !ORIGIN_PATTERN.test(origin)) {
+    throw new Error(`Invalid origin "${origin}" (expected e.g. https://example.com)`);
+  }
+  const name = label === undefined ? origin.replace(/^https?:\/\//, "") : label;
+  if (typeof name !== "string" || name.length < 1 || name.length > 64) {
+    throw new Error("Label must be 1-64 characters");
+  }
+  if (clis != null) {
+    if (!Array.isArray(clis) || clis.length === 0) {
+      throw new Error("CLI list must be a non-empty array");
+    }
+    for (const cli of clis) {
+      if (typeof cli !== "string" || !CLI_NAME.test(cli)) {
+        throw new Error(`Invalid CLI name "${cli}"`);
+      }
+    }
+  }
+  if (rateLimit != null) {
+    const { capacity, refillIntervalMs } = rateLimit;
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > 1000) {
+      throw new Error("Rate limit capacity must be an integer 1-1000");
+    }
+    if (
+      !Number.isInteger(refillIntervalMs) ||
+      refillIntervalMs < 100 ||
+      refillIntervalMs > 3_600_000
+    ) {
+      throw new Error("Rate limit refill interval must be 100-3600000 ms");
+    }
+  }
+  return {
+    origin,
+    label: name,
+    clis: clis == null ? null : [...new Set(clis)],
+    rateLimit: rateLimit == null ? null : { ...rateLimit },
+  };
+}
+
+/**
+ * Per-origin client credentials (zero dependencies).
+ * Each client has a label, the origin its credential is bound to, an optional
+ * list of CLIs it may use (null = all) and an optional rate limit
+ * (`{ capacity, refillIntervalMs }`, null = the bridge default).
+ * Only SHA-256 hashes of the secrets are stored, in clients.json (mode 0600).
+ * The file is re-read whenever it changes on disk, so edits made by another
+ * process take effect without a restart. A file that cannot be parsed (e.g.
+ * hand-edited badly) is reported through `onWarning` and the last good list
+ * stays in use.
+ * @param {object} opts
+ * @param {string} opts.dir - Directory for clients.json (default ~/.ai-stocks)
+ * @param {(message: string) => void} opts.onWarning
+ */
+function createClientStore({ dir, onWarning = () => {} } = {}) {
+  const storeDir = dir || path.join(os.homedir(), ".ai-stocks");
+  const storeFile = path.join(storeDir, "clients.json");
+  fs.mkdirSync(storeDir, { recursive: true });
+
+  let clients = [];
+  let fileMtime = null;
+
+  function load() {
+    let stat;
+    try {
+      stat = fs.statSync(storeFile);
+    } catch {
+      clients = [];
+      fileMtime = null;
+      return;
+    }
+    if (stat.mtimeMs === fileMtime) return;
+    // Not retried until the file changes again
+    fileMtime = stat.mtimeMs;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(storeFile, "utf-8"));
+    } catch (e) {
+      onWarning(`Ignoring unreadable ${storeFile}: ${e.message}`);
+      return;
+    }
+    clients = Array.isArray(data?.clients)
+      ? data.clients.filter((c) => c && typeof c === "object")
+      : [];
+  }
+
+  // Written to a temporary file first, so a reader never sees half of it
+  function save() {
+    const tmp = `${storeFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ clients }, null, 2) + "\n", {
+      mode: 0o600,
+    });
+    fs.renameSync(tmp, storeFile);
+    fileMtime = fs.statSync(storeFile).mtimeMs;
+  }
+
+  // Public view — never exposes the secret hash
+  const describe = ({ secretHash, ...client }) => client;
+
+  load();
+
+  return {
+    /**
+     * Create a credential bound to `origin`. Throws on invalid fields.
+     * @param {object} fields - origin, label (default: origin host), clis, rateLimit
+     * @returns {{ client: object, secret: string }} The secret is only returned here
+     */
+    issue(fields) {
+      const valid = validateClient(fields);
+      load();
+      const secret = "bc_" + crypto.randomBytes(24).toString("base64url");
+      const client = {
+        id: crypto.randomUUID(),
+        ...valid,
+        createdAt: new Date().toISOString(),
+        secretHash: hashSecret(secret),
+      };
+      clients.push(client);
+      save();
+      return { client: describe(client), secret };
+    },
+    /** Returns the client owning `secret` if it is bound to `origin`, else null. */
+    authenticate(secret, origin) {
+      if (!secret || typeof secret !== "string") return null;
+      load();
+      const hash = Buffer.from(hashSecret(secret), "hex");
+      const client = clients.find((c) => {
+        // A hand-edited hash of another length would make timingSafeEqual throw
+        const stored = Buffer.from(String(c.secretHash ?? ""), "hex");
+        return (
+          stored.length === hash.length && crypto.timingSafeEqual(stored, hash)
+        );
+      });
+      if (!client || client.origin !== origin) return null;
+      return describe(client);
+    },
+    list() {
+      load();
+      return clients.map(describe);
+    },
+    /** Revoke by ID or label; returns how many clients were removed. */
+    revoke(idOrLabel) {
+      load();
+      const before = clients.length;
+      clients = clients.filter(
+        (c) => c.id !== idOrLabel && c.label !== idOrLabel,
+      );
+      const removed = before - clients.length;
+      if (removed === 0) return 0;
+      save();
+      return removed;
+    },
+    getFile() {
+      return storeFile;
+    },
+  };
+}
+
+/** Whether `client` may run `cli`. The session owner (null) may run any. */
+function clientAllows(client, cli) {
+  return !client || !client.clis || client.clis.includes(cli);
+}
+
+module.exports = { createClientStore, clientAllows };
@@ -0,0 +1,563 @@
+"use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const { parseOriginPattern } = require("./origins");
+const {
+  compileRedaction,
+  BUILTIN_REDACTIONS,
+  DEFAULT_ENTROPY,
+} = require("./redaction");
+
+const DEFAULT_CONFIG_PATH = path.join(
+  os.homedir(),
+  ".ai-stocks",
+  "bridge.config.json",
+);
+
+const DEFAULT_CLI_REGISTRY = {
+  claude: { cmd: "claude", args: ["--print"], timeout: 120_000 },
+  gemini: {
+    cmd: "gemini",
+    args: ["-o", "text"],
+    model: "gemini-3-flash-preview",
+    modelFlag: "-m",
+    timeout: 120_000,
+  },
+  codex: {
+    cmd: "codex",
+    args: ["exec", "-c", "features.rmcp_client=false", "-s", "read-only"],
+    timeout: 180_000,
+    sandbox: true,
+    weight: 2,
+  },
+};
+
+const CLI_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+const MIN_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 60 * 60_000;
+const DEFAULT_TIMEOUT_MS = 120_000;
+const MAX_CLI_CONCURRENCY = 20;
+const MAX_CLI_WEIGHT = 10;
+const MAX_CLI_RATE_CAPACITY = 1000;
+const MIN_REFILL_MS = 100;
+const MAX_REFILL_MS = 60 * 60_000;
+const MAX_CACHE_TTL_MS = 30 * 24 * 60 * 60_000;
+
+const DEFAULT_CACHE = { enabled: true, ttlMs: 60 * 60_000, maxEntries: 500 };
+const DEFAULT_AUDIT = { maxBytes: 5 * 1024 * 1024, generations: 3, gzip: false };
+const DEFAULT_TOKEN = { maxAgeMs: 0, graceMs: 5 * 60_000 };
+const DEFAULT_ORIGINS = { allow: [], includeDefaults: true };
+const DEFAULT_SESSIONS = {
+  idleTtlMs: 30 * 60_000,
+  maxTurns: 20,
+  maxSessions: 100,
+  historyChars: 6000,
+};
+const DEFAULT_ATTACHMENTS = {
+  dir: null,
+  maxFiles: 5,
+  maxFileBytes: 1024 * 1024,
+  maxChars: 12_000,
+};
+const DEFAULT_REDACTION = {
+  rules: [],
+  disable: [],
+  entropy: DEFAULT_ENTROPY,
+};
+
+const KNOWN_SECTIONS = new Set([
+  "clis",
+  "cache",
+  "audit",
+  "token",
+  "origins",
+  "sessions",
+  "attachments",
+  "redaction",
+]);
+const CLI_FIELDS = new Set([
+  "cmd",
+  "args",
+  "model",
+  "modelFlag",
+  "timeout",
+  "sandbox",
+  "disabled",
+  "concurrency",
+  "weight",
+  "rateLimit",
+]);
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+function validateCliEntry(name, entry, isNew, errors) {
+  const at = `clis.${name}`;
+  if (!CLI_NAME.test(name)) {
+    errors.push(`${at}: name must match ${CLI_NAME}`);
+  }
+  if (!isPlainObject(entry)) {
+    errors.push(`${at}: must be an object`);
+    return;
+  }
+  for (const key of Object.keys(entry)) {
+    if (!CLI_FIELDS.has(key)) errors.push(`${at}.${key}: unknown field`);
+  }
+  if (entry.cmd !== undefined) {
+    if (typeof entry.cmd !== "string" || !entry.cmd.trim()) {
+      errors.push(`${at}.cmd: must be a non-empty string`);
+    }
+  } else if (isNew && !entry.disabled) {
+    errors.push(`${at}.cmd: required for a new CLI`);
+  }
+  if (
+    entry.args !== undefined &&
+    (!Array.isArray(entry.args) ||
+      entry.args.some((a) => typeof a !== "string"))
+  ) {
+    errors.push(`${at}.args: must be an array of strings`);
+  }
+  for (const key of ["model", "modelFlag"]) {
+    if (
+      entry[key] !== undefined &&
+      entry[key] !== null &&
+      (typeof entry[key] !== "string" || !entry[key])
+    ) {
+      errors.push(`${at}.${key}: must be a non-empty string or null`);
+    }
+  }
+  if (
+    entry.timeout !== undefined &&
+    (!Number.isInteger(entry.timeout) ||
+      entry.timeout < MIN_TIMEOUT_MS ||
+      entry.timeout > MAX_TIMEOUT_MS)
+  ) {
+    errors.push(
+      `${at}.timeout: must be an integer between ${MIN_TIMEOUT_MS} and ${MAX_TIMEOUT_MS} (ms)`,
+    );
+  }
+  if (
+    entry.concurrency !== undefined &&
+    (!Number.isInteger(entry.concurrency) ||
+      entry.concurrency < 1 ||
+      entry.concurrency > MAX_CLI_CONCURRENCY)
+  ) {
+    errors.push(
+      `${at}.concurrency: must be an integer between 1 and ${MAX_CLI_CONCURRENCY}`,
+    );
+  }
+  if (
+    entry.weight !== undefined &&
+    (!Number.isInteger(entry.weight) ||
+      entry.weight < 1 ||
+      entry.weight > MAX_CLI_WEIGHT)
+  ) {
+    errors.push(
+      `${at}.weight: must be an integer between 1 and ${MAX_CLI_WEIGHT}`,
+    );
+  }
+  if (entry.rateLimit !== undefined) {
+    validateCliRateLimit(`${at}.rateLimit`, entry.rateLimit, errors);
+  }
+  for (const key of ["sandbox", "disabled"]) {
+    if (entry[key] !== undefined && typeof entry[key] !== "boolean") {
+      errors.push(`${at}.${key}: must be a boolean`);
+    }
+  }
+}
+
+// `{ capacity, refillIntervalMs }` of the bucket every caller shares for one
+// CLI; either may be left out to use the bridge default
+function validateCliRateLimit(at, rateLimit, errors) {
+  if (!isPlainObject(rateLimit)) {
+    errors.push(`${at}: must be an object`);
+    return;
+  }
+  for (const key of Object.keys(rateLimit)) {
+    if (key !== "capacity" && key !== "refillIntervalMs") {
+      errors.push(`${at}.${key}: unknown field`);
+    }
+  }
+  const { capacity, refillIntervalMs } = rateLimit;
+  if (
+    capacity !== undefined &&
+    (!Number.isInteger(capacity) ||
+      capacity < 1 ||
+      capacity > MAX_CLI_RATE_CAPACITY)
+  ) {
+    errors.push(
+      `${at}.capacity: must be an integer between 1 and ${MAX_CLI_RATE_CAPACITY}`,
+    );
+  }
+  if (
+    refillIntervalMs !== undefined &&
+    (!Number.isInteger(refillIntervalMs) ||
+      refillIntervalMs < MIN_REFILL_MS ||
+      refillIntervalMs > MAX_REFILL_MS)
+  ) {
+    errors.push(
+      `${at}.refillIntervalMs: must be an integer between ${MIN_REFILL_MS} and ${MAX_REFILL_MS} (ms)`,
+    );
+  }
+}
+
+/**
+ * Merge user overrides into the default CLI registry.
+ * Override fields replace the defaults one by one; `disabled: true` drops the
+ * entry. The returned entries carry the final argv (model flag included).
+ * @param {object} overrides - The `clis` section of the config file
+ * @param {object} defaults - Base registry (default DEFAULT_CLI_REGISTRY)
+ * @returns {object} name → { cmd, args, timeout, sandbox, model, concurrency,
+ *   weight, rateLimit }
+ */
+function buildCliRegistry(overrides = {}, defaults = DEFAULT_CLI_REGISTRY) {
+  const errors = [];
+  if (!isPlainObject(overrides)) {
+    throw new Error("clis: must be an object");
+  }
+  for (const [name, entry] of Object.entries(overrides)) {
+    validateCliEntry(name, entry, !defaults[name], errors);
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+
+  const registry = {};
+  const names = new Set([...Object.keys(defaults), ...Object.keys(overrides)]);
+  for (const name of names) {
+    const merged = { ...defaults[name], ...overrides[name] };
+    if (merged.disabled) continue;
+    const baseArgs = merged.args || [];
+    registry[name] = {
+      cmd: merged.cmd,
+      args:
+        merged.model && merged.modelFlag
+          ? [merged.modelFlag, merged.model, ...baseArgs]
+          : [...baseArgs],
+      timeout: merged.timeout || DEFAULT_TIMEOUT_MS,
+      sandbox: merged.sandbox === true,
+      model: merged.model || null,
+      concurrency: merged.concurrency || null,
+      weight: merged.weight || 1,
+      rateLimit: merged.rateLimit ? { ...merged.rateLimit } : null,
+    };
+  }
+  return registry;
+}
+
+/**
+ * Validate a flat section of integer/boolean options and fill in defaults.
+ * Booleans are recognised from the default's type; integers must fall in
+ * `ranges[key]` (inclusive).
+ */
+function buildOptions(name, section, defaults, ranges) {
+  if (section === undefined) return { ...defaults };
+  if (!isPlainObject(section)) {
+    throw new Error(`${name}: must be an object`);
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(section)) {
+    const at = `${name}.${key}`;
+    if (!(key in defaults)) {
+      errors.push(`${at}: unknown field`);
+    } else if (typeof defaults[key] === "boolean") {
+      if (typeof value !== "boolean") errors.push(`${at}: must be a boolean`);
+    } else {
+      const [min, max] = ranges[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(
+          max === Infinity
+            ? `${at}: must be an integer >= ${min}`
+            : `${at}: must be an integer between ${min} and ${max}`,
+        );
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+  return { ...defaults, ...section };
+}
+
+/**
+ * Validate the `cache` section and fill in defaults.
+ * @param {object} section - { enabled, ttlMs, maxEntries }
+ * @returns {{ enabled: boolean, ttlMs: number, maxEntries: number }}
+ */
+function buildCacheOptions(section) {
+  return buildOptions("cache", section, DEFAULT_CACHE, {
+    ttlMs: [1000, MAX_CACHE_TTL_MS],
+    maxEntries: [1, Infinity],
+  });
+}
+
+/**
+ * Validate the `audit` section and fill in defaults.
+ * @param {object} section - { maxBytes, generations, gzip }
+ * @returns {{ maxBytes: number, generations: number, gzip: boolean }}
+ */
+function buildAuditOptions(section) {
+  return buildOptions("audit", section, DEFAULT_AUDIT, {
+    maxBytes: [64 * 1024, 1024 * 1024 * 1024],
+    generations: [0, 100],
+  });
+}
+
+/**
+ * Validate the `token` section and fill in defaults.
+ * @param {object} section - { maxAgeMs, graceMs } (maxAgeMs 0 = never expires)
+ * @returns {{ maxAgeMs: number, graceMs: number }}
+ */
+function buildTokenOptions(section) {
+  return buildOptions("token", section, DEFAULT_TOKEN, {
+    maxAgeMs: [0, 365 * 24 * 60 * 60_000],
+    graceMs: [0, 24 * 60 * 60_000],
+  });
+}
+
+/**
+ * Validate the `sessions` section and fill in defaults.
+ * @param {object} section - { idleTtlMs, maxTurns, maxSessions, historyChars }
+ * @returns {{ idleTtlMs: number, maxTurns: number, maxSessions: number, historyChars: number }}
+ */
+function buildSessionOptions(section) {
+  return buildOptions("sessions", section, DEFAULT_SESSIONS, {
+    idleTtlMs: [60_000, 7 * 24 * 60 * 60_000],
+    maxTurns: [2, 200],
+    maxSessions: [1, 10_000],
+    historyChars: [500, 50_000],
+  });
+}
+
+/**
+ * Validate the `attachments` section and fill in defaults.
+ * `dir` is the data directory files may be attached from (null means
+ * ~/.ai-stocks/data).
+ * @param {object} section - { dir, maxFiles, maxFileBytes, maxChars }
+ * @returns {{ dir: string|null, maxFiles: number, maxFileBytes: number, maxChars: number }}
+ */
+function buildAttachmentOptions(section) {
+  if (section === undefined) return { ...DEFAULT_ATTACHMENTS };
+  if (!isPlainObject(section)) {
+    throw new Error("attachments: must be an object");
+  }
+  const { dir = null, ...limits } = section;
+  const errors = [];
+  if (dir !== null && !(typeof dir === "string" && path.isAbsolute(dir))) {
+    errors.push("attachments.dir: must be an absolute path");
+  }
+  let options = null;
+  try {
+    // The whole prompt is one command-line argument, so maxChars stays well
+    // below the usual 128 KB argument limit
+    options = buildOptions("attachments", limits, DEFAULT_ATTACHMENTS, {
+      maxFiles: [1, 20],
+      maxFileBytes: [1024, 50 * 1024 * 1024],
+      maxChars: [500, 60_000],
+    });
+  } catch (e) {
+    errors.push(...e.message.split("\n"));
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+  return { ...options, dir };
+}
+
+/**
+ * Validate the `redaction` section and fill in defaults.
+ * `rules` are extra `{ type, pattern, flags? }` rules (see redaction.js),
+ * `disable` lists types to skip and `entropy` tunes the check for random
+ * tokens.
+ * @param {object} section - { rules, disable, entropy }
+ * @returns {{ rules: object[], disable: string[], entropy: { enabled: boolean, minLength: number, threshold: number } }}
+ */
+function buildRedactionOptions(section) {
+  if (section === undefined) {
+    return { ...DEFAULT_REDACTION, entropy: { ...DEFAULT_ENTROPY } };
+  }
+  if (!isPlainObject(section)) {
+    throw new Error("redaction: must be an object");
+  }
+  const errors = [];
+  for (const key of Object.keys(section)) {
+    if (!(key in DEFAULT_REDACTION)) {
+      errors.push(`redaction.${key}: unknown field`);
+    }
+  }
+  const { rules = [], disable = [], entropy = {} } = section;
+  const types = new Set([
+    ...BUILTIN_REDACTIONS.map((rule) => rule.type),
+    "HIGH_ENTROPY",
+    "HOME",
+  ]);
+  if (!Array.isArray(rules)) {
+    errors.push("redaction.rules: must be an array");
+  } else {
+    rules.forEach((rule, i) => {
+      try {
+        types.add(compileRedaction(rule).type);
+      } catch (e) {
+        errors.push(`redaction.rules[${i}]: ${e.message}`);
+      }
+    });
+  }
+  if (!Array.isArray(disable)) {
+    errors.push("redaction.disable: must be an array of types");
+  } else {
+    disable.forEach((type, i) => {
+      if (!types.has(type)) {
+        errors.push(`redaction.disable[${i}]: unknown type ${type}`);
+      }
+    });
+  }
+  let entropyOptions = null;
+  if (!isPlainObject(entropy)) {
+    errors.push("redaction.entropy: must be an object");
+  } else {
+    const { threshold = DEFAULT_ENTROPY.threshold, ...rest } = entropy;
+    if (!(typeof threshold === "number" && threshold >= 2 && threshold <= 6)) {
+      errors.push(
+        "redaction.entropy.threshold: must be a number between 2 and 6",
+      );
+    }
+    try {
+      entropyOptions = {
+        ...buildOptions("redaction.entropy", rest, DEFAULT_ENTROPY, {
+          minLength: [16, 256],
+        }),
+        threshold,
+      };
+    } catch (e) {
+      errors.push(...e.message.split("\n"));
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+  return { rules: [...rules], disable: [...disable], entropy: entropyOptions };
+}
+
+/**
+ * Validate the `origins` section and fill in defaults.
+ * `allow` adds origin patterns (see origins.js); `includeDefaults: false`
+ * drops the built-in allow-list so only `allow` applies.
+ * @param {object} section - { allow, includeDefaults }
+ * @returns {{ allow: string[], includeDefaults: boolean }}
+ */
+function buildOriginOptions(section) {
+  if (section === undefined) return { ...DEFAULT_ORIGINS, allow: [] };
+  if (!isPlainObject(section)) {
+    throw new Error("origins: must be an object");
+  }
+  const errors = [];
+  for (const key of Object.keys(section)) {
+    if (!(key in DEFAULT_ORIGINS)) errors.push(`origins.${key}: unknown field`);
+  }
+  const { allow = [], includeDefaults = true } = section;
+  if (!Array.isArray(allow)) {
+    errors.push("origins.allow: must be an array of origins");
+  } else {
+    allow.forEach((origin, i) => {
+      try {
+        parseOriginPattern(origin);
+      } catch (e) {
+        errors.push(`origins.allow[${i}]: ${e.message}`);
+      }
+    });
+  }
+  if (typeof includeDefaults !== "boolean") {
+    errors.push("origins.includeDefaults: must be a boolean");
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+  return { allow: [...allow], includeDefaults };
+}
+
+/**
+ * Load and validate the bridge config file.
+ * A missing file is not an error — the defaults apply.
+ * @param {string} file - Config path (default ~/.ai-stocks/bridge.config.json)
+ * @returns {{ file: string, loaded: boolean, clis: object, cache: object, audit: object, token: object, origins: object, sessions: object, attachments: object, redaction: object }}
+ */
+function loadConfig(file = DEFAULT_CONFIG_PATH) {
+  let raw = {};
+  let loaded = false;
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf-8");
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      throw new Error(`Cannot read config ${file}: ${e.message}`);
+    }
+  }
+  if (text !== undefined) {
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON in config ${file}: ${e.message}`);
+    }
+    if (!isPlainObject(raw)) {
+      throw new Error(`Invalid config ${file}: top level must be an object`);
+    }
+    loaded = true;
+  }
+
+  const unknown = Object.keys(raw).filter((k) => !KNOWN_SECTIONS.has(k));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid config ${file}:\n  - unknown section(s): ${unknown.join(", ")}`,
+    );
+  }
+
+  const errors = [];
+  const section = (build, value) => {
+    try {
+      return build(value);
+    } catch (e) {
+      errors.push(...e.message.split("\n"));
+      return null;
+    }
+  };
+  const clis = section(buildCliRegistry, raw.clis);
+  const cache = section(buildCacheOptions, raw.cache);
+  const audit = section(buildAuditOptions, raw.audit);
+  const token = section(buildTokenOptions, raw.token);
+  const origins = section(buildOriginOptions, raw.origins);
+  const sessions = section(buildSessionOptions, raw.sessions);
+  const attachments = section(buildAttachmentOptions, raw.attachments);
+  const redaction = section(buildRedactionOptions, raw.redaction);
+  if (errors.length > 0) {
+    const lines = errors.map((l) => `  - ${l}`);
+    throw new Error(`Invalid config ${file}:\n${lines.join("\n")}`);
+  }
+
+  return {
+    file,
+    loaded,
+    clis,
+    cache,
+    audit,
+    token,
+    origins,
+    sessions,
+    attachments,
+    redaction,
+  };
+}
+
+module.exports = {
+  loadConfig,
+  buildCliRegistry,
+  buildCacheOptions,
+  buildAuditOptions,
+  buildTokenOptions,
+  buildOriginOptions,
+  buildSessionOptions,
+  buildAttachmentOptions,
+  buildRedactionOptions,
+  DEFAULT_CLI_REGISTRY,
+  DEFAULT_CONFIG_PATH,
+};
@@ -0,0 +1,253 @@
+"use strict";
+const { MAX_PROMPT_LENGTH } = require("./security");
+
+// Words that reveal a stance, most specific first. English entries match on
+// word boundaries; Chinese ones anywhere.
+const STANCE_WORDS = {
+  buy: [
+    "strong buy",
+    "buy",
+    "overweight",
+    "outperform",
+    "accumulate",
+    "bullish",
+    "買進",
+    "買入",
+    "加碼",
+    "看多",
+  ],
+  hold: [
+    "hold",
+    "neutral",
+    "market perform",
+    "equal weight",
+    "持有",
+    "中立",
+    "觀望",
+  ],
+  sell: [
+    "strong sell",
+    "sell",
+    "underweight",
+    "underperform",
+    "reduce",
+    "bearish",
+    "賣出",
+    "減碼",
+    "看空",
+  ],
+};
+const STANCES = Object.keys(STANCE_WORDS);
+
+const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const STANCE_PATTERNS = Object.fromEntries(
+  STANCES.map((stance) => [
+    stance,
+    new RegExp(
+      STANCE_WORDS[stance]
+        .map((w) => (/^[a-z ]+$/.test(w) ? `\\b${escape(w)}\\b` : escape(w)))
+        .join("|"),
+      "i",
+    ),
+  ]),
+);
+
+// "Recommendation: Hold", "評等：買進" ...
+const LABELLED_STANCE =
+  /(?:recommendation|rating|stance|verdict|建議|評等|評級|結論)\s*[:：]\s*[*_]*\s*([^\n]{1,40})/i;
+const PRICE_TARGET =
+  /(?:price\s+target|target\s+price|target\s*[:：]|目標價)[^\d\n]{0,15}?([\d,]+(?:\.\d+)?)(?:\s*(?:-|–|~|to|至|到)\s*[$NT]*\s*([\d,]+(?:\.\d+)?))?/i;
+const STANCE_KEYS = ["rating", "stance", "recommendation", "verdict"];
+const TARGET_KEYS = ["priceTarget", "targetPrice", "target"];
+
+// Stance whose word appears first in `text`, or null
+function classify(text) {
+  let best = null;
+  let bestIndex = Infinity;
+  for (const stance of STANCES) {
+    const m = STANCE_PATTERNS[stance].exec(text);
+    if (m && m.index < bestIndex) {
+      best = stance;
+      bestIndex = m.index;
+    }
+  }
+  return best;
+}
+
+/**
+ * Buy/hold/sell stance of a free-text answer. A labelled line
+ * ("Recommendation: ...") wins; otherwise the answer must mention exactly one
+ * kind of stance, so prose weighing "buy" against "sell" counts as none.
+ * @returns {"buy"|"hold"|"sell"|null}
+ */
+function extractStance(text) {
+  const labelled = LABELLED_STANCE.exec(text);
+  if (labelled) {
+    const stance = classify(labelled[1]);
+    if (stance) return stance;
+  }
+  const mentioned = STANCES.filter((s) => STANCE_PATTERNS[s].test(text));
+  return mentioned.length === 1 ? mentioned[0] : null;
+}
+
+const toNumber = (s) => Number(s.replace(/,/g, ""));
+
+/** First price target in a free-text answer (midpoint of a range), or null. */
+function extractTarget(text) {
+  const m = PRICE_TARGET.exec(text);
+  if (!m) return null;
+  const low = toNumber(m[1]);
+  const value = m[2] ? (low + toNumber(m[2])) / 2 : low;
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function targetFromValue(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (
+    value &&
+    typeof value.low === "number" &&
+    typeof value.high === "number"
+  ) {
+    return (value.low + value.high) / 2;
+  }
+  return null;
+}
+
+// Stance and target of one successful result. JSON-mode results are read
+// from their fields first, falling back to the text.
+function readAnswer(result) {
+  const text = result.output || "";
+  let data = null;
+  const parsed = result.validation?.errors[0]?.keyword !== "parse";
+  if (result.format === "json" && parsed) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Treated as text below
+    }
+  }
+  if (data && typeof data === "object" && !Array.isArray(data)) {
+    const stanceKey = STANCE_KEYS.find((k) => typeof data[k] === "string");
+    const targetKey = TARGET_KEYS.find(
+      (k) => targetFromValue(data[k]) !== null,
+    );
+    return {
+      stance: stanceKey ? classify(data[stanceKey]) : extractStance(text),
+      target: targetKey
+        ? targetFromValue(data[targetKey])
+        : extractTarget(text),
+    };
+  }
+  return { stance: extractStance(text), target: extractTarget(text) };
+}
+
+const round = (n, digits = 2) => +n.toFixed(digits);
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Compare the answers of a multi-CLI run.
+ * `stance` is the majority stance (null on a tie or when no answer takes
+ * one); `agreement` is the share of stance-taking answers that match it.
+ * `target.spread` is (high - low) / median.
+ * @param {object[]} results - Per-CLI results with plaintext `output`
+ * @returns {{ responded, stances, counts, stance, agreement, targets, target }}
+ */
+function buildConsensus(results) {
+  const stances = {};
+  const targets = {};
+  const counts = { buy: 0, hold: 0, sell: 0 };
+  let responded = 0;
+  for (const result of results) {
+    if (!result.success) continue;
+    responded++;
+    const { stance, target } = readAnswer(result);
+    stances[result.cli] = stance;
+    if (stance) counts[stance]++;
+    if (target !== null) targets[result.cli] = target;
+  }
+
+  const withStance = counts.buy + counts.hold + counts.sell;
+  const top = Math.max(...Object.values(counts));
+  const leaders = STANCES.filter((s) => counts[s] === top);
+  const values = Object.values(targets).sort((a, b) => a - b);
+  let target = null;
+  if (values.length > 0) {
+    const mid = median(values);
+    const low = values[0];
+    const high = values[values.length - 1];
+    target = {
+      median: round(mid),
+      low,
+      high,
+      spread: mid > 0 ? round((high - low) / mid, 3) : null,
+    };
+  }
+
+  return {
+    responded,
+    stances,
+    counts,
+    stance: withStance > 0 && leaders.length === 1 ? leaders[0] : null,
+    agreement: withStance > 0 ? round(top / withStance) : null,
+    targets,
+    target,
+  };
+}
+
+const JUDGE_INSTRUCTIONS =
+  "Several analysts answered the same question. Compare their answers and " +
+  "write one merged analysis: where they agree, where they differ and why, " +
+  "and an overall buy/hold/sell stance with a price target if the answers " +
+  "support one.";
+
+/**
+ * Prompt asking a judge CLI to merge the successful answers. Each answer is
+ * shortened to an equal share so the whole prompt fits in `maxLength`.
+ */
+function judgePrompt(question, results, maxLength = MAX_PROMPT_LENGTH) {
+  const answers = results.filter((r) => r.success);
+  const head = `${JUDGE_INSTRUCTIONS}\n\nQuestion:\n${question}\n`;
+  const labels = answers.map((r) => `\nAnswer from ${r.cli}:\n`);
+  const room =
+    maxLength - head.length - labels.reduce((n, l) => n + l.length + 1, 0);
+  const share = Math.max(0, Math.floor(room / Math.max(answers.length, 1)));
+  const body = answers.map((r, i) => {
+    const text = r.output || "";
+    const cut =
+      text.length > share ? text.slice(0, Math.max(share - 1, 0)) + "…" : text;
+    return labels[i] + cut + "\n";
+  });
+  return (head + body.join("")).slice(0, maxLength);
+}
+
+/**
+ * Read the `consensus` request option: true, or `{ judge: "<cli>" }` to have
+ * that CLI write a merged answer.
+ * @returns {{ judge: string|null } | null} null when consensus is off
+ * @throws {Error} on anything else or an unknown judge
+ */
+function parseConsensusOptions(value, registry) {
+  if (value === undefined || value === false) return null;
+  if (value === true) return { judge: null };
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error('consensus must be true or { "judge": "<cli>" }');
+  }
+  const { judge = null } = value;
+  const known = typeof judge === "string" && Object.hasOwn(registry, judge);
+  if (judge !== null && !known) {
+    throw new Error(`Unknown judge CLI: ${judge}`);
+  }
+  return { judge };
+}
+
+module.exports = {
+  extractStance,
+  extractTarget,
+  buildConsensus,
+  judgePrompt,
+  parseConsensusOptions,
+};
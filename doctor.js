@@ -0,0 +1,293 @@
+"use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const { execFile } = require("node:child_process");
+
+const MIN_NODE_MAJOR = 18;
+const PROBE_TIMEOUT_MS = 10_000;
+const STATUS_RANK = { ok: 0, skip: 0, warn: 1, fail: 2 };
+
+// Where the known CLIs keep their login, relative to the home directory, and
+// the API-key variables they would otherwise read. sanitizeEnv strips those
+// variables, so under the bridge only a login counts. Logins kept in a system
+// keychain cannot be seen, hence warn rather than fail.
+const AUTH_HINTS = {
+  claude: {
+    files: [".claude/.credentials.json", ".claude.json"],
+    envKeys: ["ANTHROPIC_API_KEY"],
+    login: "Run `claude` once and log in",
+  },
+  gemini: {
+    files: [".gemini/oauth_creds.json"],
+    envKeys: ["GEMINI_API_KEY", "GOOGLE_API_KEY"],
+    login: "Run `gemini` once and sign in with Google",
+  },
+  codex: {
+    files: [".codex/auth.json"],
+    envKeys: ["OPENAI_API_KEY"],
+    login: "Run `codex login`",
+  },
+};
+
+/**
+ * Bridge setup checks for `ai-stocks-bridge doctor` (zero dependencies).
+ * Every check is `{ name, status: "ok"|"warn"|"fail"|"skip", detail, hint? }`.
+ * @param {object} opts
+ * @param {{ file: string, loaded: boolean }} opts.config - Loaded (valid) config
+ * @param {string} opts.tokenFile - Session token path
+ * @param {string[]} opts.dirs - Directories the bridge writes to
+ * @param {object} opts.registry - CLI registry (name → { cmd })
+ * @param {object} opts.paths - Resolved CLI paths (name → path|null); each
+ *   CLI is examined by diagnoseCli
+ * @param {string} opts.nodeVersion - Defaults to process.versions.node
+ */
+function checkSetup({
+  config,
+  tokenFile,
+  dirs,
+  registry,
+  paths,
+  nodeVersion = process.versions.node,
+}) {
+  const checks = [];
+
+  const major = parseInt(nodeVersion, 10);
+  checks.push(
+    major >= MIN_NODE_MAJOR
+      ? { name: "node", status: "ok", detail: `v${nodeVersion}` }
+      : {
+          name: "node",
+          status: "fail",
+          detail: `v${nodeVersion}`,
+          hint: `Node.js ${MIN_NODE_MAJOR} or newer is required`,
+        },
+  );
+
+  checks.push({
+    name: "config",
+    status: "ok",
+    detail: config.loaded
+      ? `${config.file} is valid`
+      : `${config.file} not found, using defaults`,
+  });
+
+  checks.push(checkTokenFile(tokenFile));
+
+  for (const dir of dirs) {
+    try {
+      fs.accessSync(dir, fs.constants.W_OK);
+      checks.push({ name: `dir ${dir}`, status: "ok", detail: "writable" });
+    } catch (e) {
+      checks.push({
+        name: `dir ${dir}`,
+        status: "fail",
+        detail: e.code || e.message,
+        hint: "The bridge needs write access here",
+      });
+    }
+  }
+
+  const names = Object.keys(registry);
+  if (!names.some((name) => paths[name])) {
+    checks.push({
+      name: "clis",
+      status: "fail",
+      detail: "No CLI is installed",
+      hint: "Install at least one of: " + names.join(", "),
+    });
+  }
+
+  return checks;
+}
+
+function checkTokenFile(tokenFile) {
+  let stat;
+  try {
+    stat = fs.statSync(tokenFile);
+  } catch {
+    return {
+      name: "token",
+      status: "warn",
+      detail: `${tokenFile} missing`,
+      hint: "It is created on the next start",
+    };
+  }
+  if (process.platform !== "win32" && (stat.mode & 0o077) !== 0) {
+    return {
+      name: "token",
+      status: "warn",
+      detail: `${tokenFile} is readable by other users`,
+      hint: `chmod 600 ${tokenFile}`,
+    };
+  }
+  return { name: "token", status: "ok", detail: tokenFile };
+}
+
+// Runs `file args`; resolves { ok, stdout, stderr, error } and never rejects
+function execProbe(file, args, env) {
+  return new Promise((resolve) => {
+    execFile(
+      file,
+      args,
+      {
+        env,
+        timeout: PROBE_TIMEOUT_MS,
+        maxBuffer: 64 * 1024,
+        windowsHide: true,
+      },
+      (err, stdout, stderr) =>
+        resolve({
+          ok: !err,
+          stdout: String(stdout || ""),
+          stderr: String(stderr || ""),
+          error: err
+            ? err.killed
+              ? `timed out after ${PROBE_TIMEOUT_MS / 1000}s`
+              : String(stderr || "").trim().split("\n")[0] || err.message
+            : null,
+        }),
+    );
+  });
+}
+
+function checkAuth(info, { fullEnv, homeDir }) {
+  const hints = AUTH_HINTS[path.basename(info.cmd)];
+  if (!hints) {
+    return {
+      name: "auth",
+      status: "skip",
+      detail: "unknown CLI, login not checked",
+    };
+  }
+  const found = hints.files.find((f) => fs.existsSync(path.join(homeDir, f)));
+  if (found) {
+    return { name: "auth", status: "ok", detail: `~/${found}` };
+  }
+  const strippedKey = hints.envKeys.find((k) => fullEnv[k]);
+  return {
+    name: "auth",
+    status: "warn",
+    detail: strippedKey
+      ? `${strippedKey} is set, but the bridge does not pass it to CLIs`
+      : "no login found (it may be in the system keychain)",
+    hint: hints.login,
+  };
+}
+
+/**
+ * Examine one registered CLI: resolved path, `--version` output, whether it
+ * runs with the sanitized environment, whether a login appears configured
+ * and, when `roundTrip` is given, a real prompt through the bridge.
+ * @param {object} opts
+ * @param {string} opts.name - Registry name
+ * @param {{ cmd: string }} opts.info - Registry entry
+ * @param {string|null} opts.path - Resolved executable
+ * @param {object} opts.env - Sanitized environment the bridge runs CLIs with
+ * @param {object} opts.fullEnv - The bridge's own environment
+ * @param {string} opts.homeDir - Where logins are looked up
+ * @param {Function} opts.exec - (file, args, env) => probe result (default execFile)
+ * @param {Function} opts.roundTrip - () => Promise of a CLI run result; omit to skip
+ * @returns {Promise<{ name, status, path, version, checks }>} `status` is the
+ *   worst of `checks`
+ */
+async function diagnoseCli({
+  name,
+  info,
+  path: cliPath,
+  env,
+  fullEnv,
+  homeDir,
+  exec = execProbe,
+  roundTrip,
+}) {
+  const checks = [];
+  const done = (version) => {
+    const worst = checks.reduce(
+      (a, c) => (STATUS_RANK[c.status] > STATUS_RANK[a] ? c.status : a),
+      "ok",
+    );
+    return { name, status: worst, path: cliPath, version, checks };
+  };
+
+  if (!cliPath) {
+    checks.push({
+      name: "path",
+      status: "warn",
+      detail: `"${info.cmd}" not found on PATH`,
+      hint: `Install it or set clis.${name}.disabled in the config`,
+    });
+    return done(null);
+  }
+  checks.push({ name: "path", status: "ok", detail: cliPath });
+
+  // --version doubles as the sanitized-environment check
+  let version = null;
+  const firstLine = (probe) => probe.stdout.trim().split("\n")[0] || null;
+  const clean = await exec(cliPath, ["--version"], env);
+  if (clean.ok) {
+    version = firstLine(clean);
+    checks.push({ name: "version", status: "ok", detail: version || "(empty)" });
+    checks.push({
+      name: "env",
+      status: "ok",
+      detail: "runs with the sanitized environment",
+    });
+  } else {
+    const full = await exec(cliPath, ["--version"], fullEnv);
+    if (full.ok) {
+      version = firstLine(full);
+      checks.push({ name: "version", status: "ok", detail: version || "(empty)" });
+      checks.push({
+        name: "env",
+        status: "fail",
+        detail: `fails with the sanitized environment: ${clean.error}`,
+        hint:
+          "It needs a variable the bridge strips; only " +
+          Object.keys(env).join(", ") +
+          " are passed",
+      });
+    } else {
+      checks.push({
+        name: "version",
+        status: "fail",
+        detail: `--version failed: ${clean.error}`,
+      });
+    }
+  }
+
+  checks.push(checkAuth(info, { fullEnv, homeDir }));
+
+  if (roundTrip) {
+    const result = await roundTrip();
+    const reply = (result.output || "").trim();
+    checks.push(
+      result.success && reply
+        ? {
+            name: "round-trip",
+            status: "ok",
+            detail: `${result.elapsed}s: ${JSON.stringify(reply.slice(0, 40))}`,
+          }
+        : {
+            name: "round-trip",
+            status: "fail",
+            detail: result.success ? "empty reply" : String(result.error).trim(),
+            hint: `Try \`ai-stocks-bridge test-cli ${name}\` for the full output`,
+          },
+    );
+  }
+  return done(version);
+}
+
+const MARKS = { ok: "ok  ", warn: "WARN", fail: "FAIL", skip: "skip" };
+
+/** Human-readable report, one line per check plus indented hints. */
+function formatReport(checks) {
+  const lines = [];
+  for (const check of checks) {
+    lines.push(`[${MARKS[check.status]}] ${check.name}: ${check.detail}`);
+    if (check.hint && check.status !== "ok") lines.push(`       ${check.hint}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { checkSetup, diagnoseCli, formatReport };
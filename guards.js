@@ -0,0 +1,297 @@
+"use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const ACTIONS = ["block", "warn", "redact", "off"];
+const RULE_NAME = /^[a-z][a-z0-9-]*(?:\.[a-z0-9-]+)*$/;
+const RULE_FIELDS = new Set([
+  "name",
+  "pattern",
+  "flags",
+  "action",
+  "category",
+  "message",
+]);
+const ALLOWED_FLAGS = /^[imsu]*$/;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_MATCHES_PER_RULE = 20;
+const DEFAULT_GUARD_DIR = path.join(os.homedir(), ".ai-stocks", "guards");
+
+// What a blocked prompt is told, by category; custom rules may bring their
+// own message
+const CATEGORY_MESSAGES = {
+  shell: "contains shell command patterns",
+  injection: "contains instruction override patterns",
+  ssrf: "contains internal network addresses",
+};
+
+const rule = (name, category, pattern) => ({
+  name,
+  category,
+  pattern,
+  action: "block",
+});
+
+// Built-in rules, checked in this order. Finance wording such as "exec
+// compensation" or "spawn a subsidiary" is not a shell command, so eval/exec/
+// spawn only count as calls or in front of a shell.
+const BUILTIN_RULES = [
+  rule("shell.command-substitution", "shell", /\$\(.*\)/),
+  rule("shell.backticks", "shell", /`[^`]+`/),
+  rule("shell.sudo", "shell", /\bsudo\b/i),
+  rule(
+    "shell.eval",
+    "shell",
+    /\b(?:eval|exec|spawn)\s*\(|\bexec\s+(?:bash|sh|zsh|cmd|\/)/i,
+  ),
+  rule("shell.dev-redirect", "shell", />\s*\/dev\//),
+  rule("shell.pipe-to-shell", "shell", /\|\s*(?:bash|sh|zsh|cmd)/i),
+  rule("shell.chained-command", "shell", /;\s*(?:rm|mv|cp|chmod|chown)\b/i),
+
+  rule(
+    "injection.ignore-instructions",
+    "injection",
+    /ignore\s+(?:above|previous|all)\s+(?:instructions|constraints|rules)/i,
+  ),
+  rule(
+    "injection.disregard",
+    "injection",
+    /disregard\s+(?:system|above|previous)/i,
+  ),
+  rule(
+    "injection.override",
+    "injection",
+    /override\s+(?:system|constraints|rules)/i,
+  ),
+  rule("injection.role-change", "injection", /you\s+are\s+now\s+a/i),
+  rule("injection.new-instructions", "injection", /new\s+instructions?:/i),
+  // Traditional and Simplified Chinese, for the audience of SYSTEM_PREFIX
+  rule(
+    "injection.zh-ignore-instructions",
+    "injection",
+    /(?:忽略|無視|无视|忘記|忘记|不要理會|不要理会|跳過|跳过)掉?(?:以上|上面|上述|之前|先前|前面|所有|全部|系統|系统)?的?(?:所有)?(?:指令|指示|規則|规则|限制|約束|约束|設定|设定|提示)/,
+  ),
+  rule(
+    "injection.zh-role-change",
+    "injection",
+    /你現在是|你现在是|假裝你是|假装你是|從現在(?:起|開始)你|从现在(?:起|开始)你/,
+  ),
+  rule(
+    "injection.zh-reveal-system",
+    "injection",
+    /(?:顯示|显示|透露|洩漏|泄露|告訴我|告诉我|輸出|输出|重複|重复)(?:你的)?(?:系統|系统)(?:提示|指令|約束|约束|設定|设定)/,
+  ),
+  rule(
+    "injection.zh-new-instructions",
+    "injection",
+    /新的?(?:指令|指示)\s*[:：]/,
+  ),
+  rule(
+    "injection.zh-bypass",
+    "injection",
+    /(?:繞過|绕过|繞開|绕开|解除|關閉|关闭)(?:你的)?(?:所有)?(?:限制|約束|约束|規則|规则|安全)/,
+  ),
+
+  rule("ssrf.link-local", "ssrf", /https?:\/\/169\.254\./),
+  rule("ssrf.private-192", "ssrf", /https?:\/\/192\.168\./),
+  rule("ssrf.private-10", "ssrf", /https?:\/\/10\.\d+\./),
+  rule("ssrf.private-172", "ssrf", /https?:\/\/172\.(?:1[6-9]|2\d|3[01])\./),
+  rule("ssrf.loopback", "ssrf", /https?:\/\/127\./),
+  rule("ssrf.unspecified", "ssrf", /https?:\/\/0\.0\.0\.0/),
+  rule("ssrf.localhost", "ssrf", /https?:\/\/localhost[:/]/i),
+];
+
+// Validate one entry of a rule file. Entries naming an existing rule may
+// leave out `pattern` to only change its action.
+function checkRuleEntry(entry, existing, at, errors) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    errors.push(`${at}: must be an object`);
+    return null;
+  }
+  for (const key of Object.keys(entry)) {
+    if (!RULE_FIELDS.has(key)) errors.push(`${at}.${key}: unknown field`);
+  }
+  const { name, pattern, flags = "i", action = "block", message } = entry;
+  const before = errors.length;
+  if (typeof name !== "string" || !RULE_NAME.test(name)) {
+    errors.push(`${at}.name: must look like "custom.my-rule"`);
+  }
+  if (!ACTIONS.includes(action)) {
+    errors.push(`${at}.action: must be one of ${ACTIONS.join(", ")}`);
+  }
+  for (const key of ["category", "message"]) {
+    if (entry[key] !== undefined && typeof entry[key] !== "string") {
+      errors.push(`${at}.${key}: must be a string`);
+    }
+  }
+  let regex = existing?.pattern;
+  if (pattern !== undefined || !existing) {
+    if (typeof pattern !== "string" || pattern.length === 0) {
+      errors.push(`${at}.pattern: must be a non-empty string`);
+    } else if (pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push(`${at}.pattern: longer than ${MAX_PATTERN_LENGTH} chars`);
+    } else if (typeof flags !== "string" || !ALLOWED_FLAGS.test(flags)) {
+      errors.push(`${at}.flags: only i, m, s and u are allowed`);
+    } else {
+      try {
+        regex = new RegExp(pattern, flags);
+      } catch (e) {
+        errors.push(`${at}.pattern: ${e.message}`);
+      }
+    }
+  }
+  if (errors.length > before) return null;
+  return {
+    name,
+    category: entry.category ?? existing?.category ?? "custom",
+    pattern: regex,
+    action,
+    message: message ?? existing?.message,
+  };
+}
+
+// Apply rule-file entries to `rules` in place. An entry naming an existing
+// rule replaces it where it stands; new rules run after the others.
+function mergeRules(rules, entries, source, errors) {
+  entries.forEach((entry, i) => {
+    const index = rules.findIndex((r) => r.name === entry?.name);
+    const existing = index === -1 ? null : rules[index];
+    const checked = checkRuleEntry(entry, existing, `${source}[${i}]`, errors);
+    if (!checked) return;
+    if (index === -1) rules.push(checked);
+    else rules[index] = checked;
+  });
+}
+
+/**
+ * Read every `*.json` rule file in `dir`, in name order, each
+ * `{ "rules": [...] }`, and apply them to the built-in rules.
+ * A missing directory means the built-in rules only.
+ * @param {string} dir - Rule directory (default ~/.ai-stocks/guards)
+ * @throws {Error} listing every problem found
+ */
+function loadGuardRules(dir = DEFAULT_GUARD_DIR) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      throw new Error(`Cannot read ${dir}: ${e.message}`);
+    }
+  }
+  const rules = [...BUILTIN_RULES];
+  const errors = [];
+  for (const file of files.sort()) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+      continue;
+    }
+    if (!Array.isArray(parsed?.rules)) {
+      errors.push(`${file}: must be { "rules": [...] }`);
+      continue;
+    }
+    mergeRules(rules, parsed.rules, `${file}: rules`, errors);
+  }
+  if (errors.length > 0) {
+    const lines = errors.map((l) => `  - ${l}`);
+    throw new Error(`Invalid guard rules in ${dir}:\n${lines.join("\n")}`);
+  }
+  return rules;
+}
+
+// A fresh copy of `pattern` that finds every match
+const globalCopy = (pattern) =>
+  new RegExp(
+    pattern.source,
+    pattern.flags.includes("g") ? pattern.flags : pattern.flags + "g",
+  );
+
+/**
+ * Prompt screening pipeline (zero dependencies). Each rule is
+ * `{ name, category, pattern, action, message? }`; matching `block` rules
+ * reject the text, `redact` rules replace the match with `[REDACTED:<name>]`,
+ * `warn` rules only report it and `off` rules are skipped.
+ * @param {object[]} rules - Default BUILTIN_RULES (see loadGuardRules)
+ */
+function createGuard(rules = BUILTIN_RULES) {
+  const active = rules.filter((r) => r.action !== "off");
+  return {
+    /**
+     * Run every rule over already-normalized text.
+     * @returns {{ text: string, findings: { rule, category, action }[] }}
+     *   text with redactions applied; findings for warn/redact rules
+     * @throws {Error} on the first block rule that matches, with `rule` and
+     *   `category` set on the error
+     */
+    check(text) {
+      let result = text;
+      const findings = [];
+      for (const { name, category, pattern, action, message } of active) {
+        if (!pattern.test(result)) continue;
+        if (action === "block") {
+          const reason =
+            message || CATEGORY_MESSAGES[category] || `matches rule ${name}`;
+          const error = new Error(`Prompt blocked: ${reason} (${name})`);
+          error.rule = name;
+          error.category = category;
+          throw error;
+        }
+        if (action === "redact") {
+          result = result.replace(
+            globalCopy(pattern),
+            `[REDACTED:${name}]`,
+          );
+        }
+        findings.push({ rule: name, category, action });
+      }
+      return { text: result, findings };
+    },
+    /**
+     * Every match of every active rule, without blocking or redacting (for
+     * POST /validate). Offsets are UTF-16 indices into `text`; each rule
+     * reports at most 20 matches.
+     * @returns {{ rule, category, action, start, end, match }[]} in rule
+     *   order, then by position
+     */
+    scan(text) {
+      const matches = [];
+      for (const { name, category, pattern, action } of active) {
+        let count = 0;
+        for (const m of text.matchAll(globalCopy(pattern))) {
+          // Zero-length matches mark nothing
+          if (m[0].length === 0) continue;
+          matches.push({
+            rule: name,
+            category,
+            action,
+            start: m.index,
+            end: m.index + m[0].length,
+            match: m[0],
+          });
+          if (++count === MAX_MATCHES_PER_RULE) break;
+        }
+      }
+      return matches;
+    },
+    /** Active rules as plain data, for GET /security/rules. */
+    rules() {
+      return active.map(({ name, category, pattern, action }) => ({
+        name,
+        category,
+        action,
+        pattern: pattern.source,
+      }));
+    },
+  };
+}
+
+module.exports = {
+  createGuard,
+  loadGuardRules,
+  BUILTIN_RULES,
+  DEFAULT_GUARD_DIR,
+};
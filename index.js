@@ -2,26 +2,83 @@
 "use strict";
 
 const http = require("node:http");
+const crypto = require("node:crypto");
 const fs = require("node:fs");
 const path = require("node:path");
 const os = require("node:os");
-const { execFile } = require("node:child_process");
-const { which } = require("./which");
+const { execFile, spawn } = require("node:child_process");
+const { createCliPaths } = require("./cli-paths");
 const {
   sanitizeEnv,
   wrapPrompt,
-  sanitizeOutput,
+  screenPrompt,
+  inspectPrompt,
+  filterOutput,
   MAX_BODY_SIZE,
+  MAX_RESPONSE_SIZE,
 } = require("./security");
-const { createRateLimiter } = require("./rate-limiter");
+const { createRateLimitStore } = require("./rate-limiter");
 const { createTokenAuth } = require("./token-auth");
+const { createClientStore, clientAllows } = require("./clients");
+const { createOriginPolicy } = require("./origins");
+const { createPairing } = require("./pairing");
 const { deriveKey, encrypt, decrypt, isEncryptedPrompt } = require("./crypto");
+const { loadConfig } = require("./config");
+const { createJobQueue } = require("./job-queue");
+const { killTree, TREE_SPAWN_OPTIONS } = require("./process-tree");
+const { createResponseCache, cacheKey } = require("./response-cache");
+const { createAuditLog } = require("./audit-log");
+const { createSessionStore, buildTranscript } = require("./sessions");
+const { createTemplateStore, validateVars, render } = require("./templates");
+const { createAttachmentReader } = require("./attachments");
+const { createGuard, loadGuardRules } = require("./guards");
+const { createRedactor, mergeRedactions } = require("./redaction");
+const { createCircuitBreaker } = require("./circuit-breaker");
+const {
+  checkSchema,
+  validateSchema,
+  parseStructured,
+} = require("./json-output");
+const {
+  buildConsensus,
+  judgePrompt,
+  parseConsensusOptions,
+} = require("./consensus");
+const { parseCommandLine, HELP } = require("./cli");
+const { createLogger } = require("./log");
+const { checkSetup, diagnoseCli, formatReport } = require("./doctor");
 const { version: PKG_VERSION } = require("./package.json");
 
-const PORT = parseInt(process.env.PORT || "7890", 10);
-const HOST = "127.0.0.1";
-const MAX_CONCURRENT_CLI = 5;
-const ALLOWED_ORIGINS = [
+// --- Command line ---
+
+let cmd;
+try {
+  cmd = parseCommandLine(process.argv.slice(2));
+} catch (e) {
+  console.error(`${e.message}\nRun "ai-stocks-bridge --help" for usage.`);
+  process.exit(1);
+}
+if (cmd.options.help) {
+  console.log(HELP);
+  process.exit(0);
+}
+if (cmd.options.version) {
+  console.log(PKG_VERSION);
+  process.exit(0);
+}
+
+const PORT = cmd.options.port ?? parseInt(process.env.PORT || "7890", 10);
+const HOST = cmd.options.host ?? "127.0.0.1";
+const MAX_CONCURRENT_CLI = cmd.options.maxConcurrent ?? 5;
+const RATE_LIMIT = {
+  capacity: cmd.options.rateLimit ?? 15,
+  refillIntervalMs: cmd.options.rateRefillMs ?? 6000,
+};
+const log = createLogger({ level: cmd.options.logLevel ?? "info" });
+
+// Built-in allow-list; extend it with the config `origins` section,
+// BRIDGE_ALLOWED_ORIGINS (comma-separated) or --allow-origin flags
+const DEFAULT_ALLOWED_ORIGINS = [
   "http://localhost:5173",
   "http://localhost:4173",
   "http://localhost:5174",
@@ -29,118 +86,440 @@ const ALLOWED_ORIGINS = [
   "https://ai-stocks-web.web.app",
 ];
 
-const CLI_REGISTRY = {
-  claude: { cmd: "claude", args: ["--print"], timeout: 120_000 },
-  gemini: {
-    cmd: "gemini",
-    args: ["-m", "gemini-3-flash-preview", "-o", "text"],
-    timeout: 120_000,
-  },
-  codex: {
-    cmd: "codex",
-    args: ["exec", "-c", "features.rmcp_client=false", "-s", "read-only"],
-    timeout: 180_000,
-    sandbox: true,
-  },
-};
+// --- Subcommands that only touch files ---
+
+// `ai-stocks-bridge token show|rotate|revoke`. A running bridge notices the new
+// token file on its next request; after `rotate` the old token keeps working
+// for the grace window, after `revoke` it stops at once.
+if (cmd.command === "token") {
+  const tokenAuth = createTokenAuth();
+  if (cmd.action === "show") {
+    console.log(tokenAuth.getToken());
+    console.error(`Token file: ${tokenAuth.getTokenFile()}`);
+    console.error(
+      `Issued: ${new Date(tokenAuth.getIssuedAt()).toISOString()}` +
+        (tokenAuth.getExpiresAt()
+          ? `, rotates: ${new Date(tokenAuth.getExpiresAt()).toISOString()}`
+          : ""),
+    );
+  } else if (cmd.action === "rotate") {
+    let graceMs = 5 * 60_000;
+    try {
+      graceMs = loadConfig(cmd.options.config).token.graceMs;
+    } catch {
+      // Invalid config — the server would refuse to start anyway
+    }
+    console.log(tokenAuth.rotate({ graceMs }));
+    console.error(
+      `Token rotated; the previous one stays valid for ${graceMs / 1000}s.`,
+    );
+  } else {
+    tokenAuth.revoke();
+    console.log(
+      `Token revoked. New token written to ${tokenAuth.getTokenFile()}`,
+    );
+  }
+  process.exit(0);
+}
+
+// `ai-stocks-bridge clients list|add|revoke` manages paired client credentials.
+// A running bridge re-reads clients.json when it changes.
+if (cmd.command === "clients") {
+  const store = createClientStore({ onWarning: log.warn });
+  const [target] = cmd.positionals;
+  const { label, clis, capacity, refillMs } = cmd.options;
+
+  if (cmd.action === "list") {
+    const all = store.list();
+    if (all.length === 0) console.log("No paired clients.");
+    for (const c of all) {
+      const rate = c.rateLimit
+        ? `${c.rateLimit.capacity}/${c.rateLimit.refillIntervalMs}ms`
+        : "default";
+      console.log(
+        `${c.id}  ${c.label}  ${c.origin}  clis=${(c.clis || ["*"]).join(",")}` +
+          `  rate=${rate}  created=${c.createdAt}`,
+      );
+    }
+  } else if (cmd.action === "add") {
+    try {
+      const { client, secret } = store.issue({
+        origin: target,
+        label,
+        clis: clis?.split(","),
+        rateLimit:
+          capacity || refillMs
+            ? {
+                capacity: capacity ?? RATE_LIMIT.capacity,
+                refillIntervalMs: refillMs ?? RATE_LIMIT.refillIntervalMs,
+              }
+            : null,
+      });
+      console.log(
+        `Added client ${client.label} (${client.id}) for ${client.origin}`,
+      );
+      console.log(`Credential (shown once): ${secret}`);
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+  } else {
+    const removed = store.revoke(target);
+    if (removed === 0) {
+      console.error(`No client with ID or label "${target}"`);
+      process.exit(1);
+    }
+    console.log(`Revoked ${removed} client${removed === 1 ? "" : "s"}.`);
+  }
+  process.exit(0);
+}
+
+// `ai-stocks-bridge bans list|lift <key|all>` shows and clears circuit
+// breaker state. A running bridge re-reads bans.json when it changes.
+if (cmd.command === "bans") {
+  const breaker = createCircuitBreaker();
+  const [target] = cmd.positionals;
+
+  if (cmd.action === "list") {
+    const entries = breaker.status();
+    if (entries.length === 0) console.log("No violations recorded.");
+    for (const e of entries) {
+      const state = e.banned
+        ? `banned until ${new Date(e.bannedUntil).toISOString()}`
+        : "not banned";
+      console.log(
+        `${e.key}  ${state}  strikes=${e.strikes}  violations=${e.violations}`,
+      );
+    }
+  } else if (target === "all") {
+    const lifted = breaker.liftAll();
+    console.log(`Lifted ${lifted} ban${lifted === 1 ? "" : "s"}.`);
+  } else {
+    if (!breaker.lift(target)) {
+      console.error(`No violations recorded for "${target}"`);
+      process.exit(1);
+    }
+    console.log(`Lifted ${target}.`);
+  }
+  process.exit(0);
+}
 
 // --- Startup initialization ---
 
-// Lock CLI paths at startup (prevent PATH hijacking)
-const CLI_PATHS = {};
-for (const [name, info] of Object.entries(CLI_REGISTRY)) {
-  CLI_PATHS[name] = which(info.cmd);
+// Load ~/.ai-stocks/bridge.config.json or --config (CLI overrides/additions)
+let config;
+try {
+  config = loadConfig(cmd.options.config);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const CLI_REGISTRY = config.clis;
+
+// Prompt screening rules — the built-ins plus ~/.ai-stocks/guards/*.json
+let guard;
+try {
+  guard = createGuard(loadGuardRules());
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
 }
 
+// Browser origins allowed to call the bridge
+let originPolicy;
+try {
+  originPolicy = createOriginPolicy([
+    ...(config.origins.includeDefaults ? DEFAULT_ALLOWED_ORIGINS : []),
+    ...config.origins.allow,
+    ...(process.env.BRIDGE_ALLOWED_ORIGINS || "")
+      .split(",")
+      .map((o) => o.trim())
+      .filter(Boolean),
+    ...(cmd.options.allowOrigin || []),
+  ]);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+// Lock CLI paths at startup (prevent PATH hijacking); rescans only add CLIs
+// that were not installed yet
+const cliPaths = createCliPaths(CLI_REGISTRY);
+
 // Create Codex sandbox (empty directory, cross-platform)
 const SANDBOX_DIR = path.join(os.tmpdir(), "ai-stocks-sandbox");
-fs.rmSync(SANDBOX_DIR, { recursive: true, force: true });
+// Only the server starts from a clean directory; one-shot commands may run
+// next to it
+if (cmd.command === "serve") {
+  fs.rmSync(SANDBOX_DIR, { recursive: true, force: true });
+}
 fs.mkdirSync(SANDBOX_DIR, { recursive: true });
 
-// Initialize rate limiter (capacity 15, refill 1 token per 6s)
-const rateLimiter = createRateLimiter({ capacity: 15, refillIntervalMs: 6000 });
+// Rate-limit buckets, kept in ~/.ai-stocks/ratelimits.json so a restart does
+// not reset them: one per caller (the session owner, a paired client with
+// its own limit if it has one, or an origin for requests without a token,
+// such as pairing) and one per CLI, shared by every caller
+const rateLimits = createRateLimitStore({
+  defaults: RATE_LIMIT,
+  onWarning: log.warn,
+});
+function limiterFor(ctx, client) {
+  return rateLimits.get(violatorKey(ctx), client?.rateLimit);
+}
+// Sized by the CLI's config `rateLimit`, the bridge default without one
+const cliLimiter = (cli) =>
+  rateLimits.get(`cli:${cli}`, CLI_REGISTRY[cli]?.rateLimit);
+// Tokens one run of `cli` costs (config `weight`, 2 for codex)
+const cliWeight = (cli) => CLI_REGISTRY[cli]?.weight ?? 1;
 
 // Initialize token auth
-const auth = createTokenAuth();
-const encryptionKey = deriveKey(auth.getToken());
+const auth = createTokenAuth(config.token);
+
+// Per-origin credentials issued through the pairing handshake
+const clients = createClientStore({ onWarning: log.warn });
+const pairing = createPairing();
+const PAIRING_ROUTES = new Set(["/pair", "/pair/confirm"]);
+
+// AES keys are derived from whichever token a request presented, so a request
+// that started before a rotation is still answered with its own key.
+const derivedKeys = new Map();
+function keyFor(token) {
+  let key = derivedKeys.get(token);
+  if (!key) {
+    if (derivedKeys.size >= 16) derivedKeys.clear();
+    key = deriveKey(token);
+    derivedKeys.set(token, key);
+  }
+  return key;
+}
 
 // Pre-compute sanitized env
 const cleanEnv = sanitizeEnv(process.env);
 
 // Concurrency tracking
 let activeClis = 0;
+const liveChildren = new Set();
+
+// "<owner> <request ID>" → job IDs started for that request. Request IDs can
+// be chosen by the caller, so they are only unique per owner
+const requestJobs = new Map();
+
+// Response cache (~/.ai-stocks/cache), encrypted at rest
+const responseCache = config.cache.enabled
+  ? createResponseCache({
+      ttlMs: config.cache.ttlMs,
+      maxEntries: config.cache.maxEntries,
+    })
+  : null;
+
+// Conversation sessions (~/.ai-stocks/sessions), encrypted at rest
+const sessions = createSessionStore({
+  idleTtlMs: config.sessions.idleTtlMs,
+  maxTurns: config.sessions.maxTurns,
+  maxSessions: config.sessions.maxSessions,
+});
+// Sessions currently answering a message; a session takes one at a time
+const busySessions = new Set();
+
+// Named prompt templates (~/.ai-stocks/templates)
+const templates = createTemplateStore();
 
-// Security circuit breaker — 5 violations in 60s → ban 15 min
-const violations = [];
+// Local data files prompts may attach (~/.ai-stocks/data by default)
+const attachmentReader = createAttachmentReader({
+  dir: config.attachments.dir,
+  maxFiles: config.attachments.maxFiles,
+  maxFileBytes: config.attachments.maxFileBytes,
+  maxChars: config.attachments.maxChars,
+});
+
+// Secrets and configured patterns removed from every CLI reply
+const redactor = createRedactor(config.redaction);
+
+// FIFO job queue — requests wait for a free slot instead of failing
+const jobQueue = createJobQueue({
+  maxConcurrent: MAX_CONCURRENT_CLI,
+  limitFor: (cli) => CLI_REGISTRY[cli]?.concurrency || Infinity,
+});
+
+// Security circuit breaker per client or origin — 5 violations in 60s ban
+// the offender for 1 min, twice as long after each further ban (up to 24 h)
 const BAN_THRESHOLD = 5;
 const BAN_WINDOW_MS = 60_000;
-const BAN_DURATION_MS = 15 * 60_000;
-let bannedUntil = 0;
+const BAN_DURATION_MS = 60_000;
+const BAN_MAX_MS = 24 * 60 * 60_000;
+const breaker = createCircuitBreaker({
+  threshold: BAN_THRESHOLD,
+  windowMs: BAN_WINDOW_MS,
+  banMs: BAN_DURATION_MS,
+  maxBanMs: BAN_MAX_MS,
+});
 
 // --- Audit log ---
-const auditLogPath = (() => {
-  const dir = path.join(os.homedir(), ".ai-stocks");
-  fs.mkdirSync(dir, { recursive: true });
-  return path.join(dir, "bridge.log");
-})();
-
-function audit(cli, origin, prompt, status) {
-  const line = `[${new Date().toISOString()}] CLI:${cli} Origin:${origin || "none"} Status:${status} Prompt:${(prompt || "").slice(0, 100).replace(/\n/g, " ")}\n`;
-  try {
-    const stat = fs.statSync(auditLogPath).size;
-    if (stat > 5 * 1024 * 1024) {
-      fs.renameSync(auditLogPath, auditLogPath + ".1");
-    }
-  } catch {
-    /* file doesn't exist yet */
-  }
-  fs.appendFileSync(auditLogPath, line);
+const auditLog = createAuditLog({
+  ...config.audit,
+  file: cmd.options.auditLog,
+});
+
+// Every entry carries the request ID, origin and client ("owner" for the
+// session token) from the per-request context
+function audit(ctx, fields) {
+  auditLog.write({
+    requestId: ctx.requestId,
+    origin: ctx.origin || null,
+    client: ctx.client || null,
+    ...fields,
+  });
 }
 
 // --- Security helpers ---
 
-function recordViolation() {
-  const now = Date.now();
-  violations.push(now);
-  while (violations.length > 0 && violations[0] < now - BAN_WINDOW_MS)
-    violations.shift();
-  if (violations.length >= BAN_THRESHOLD) {
-    bannedUntil = now + BAN_DURATION_MS;
-    violations.length = 0;
-  }
+// Circuit breaker key: the paired client or the session owner once
+// authenticated, the origin before that ("origin:none" without one)
+function violatorKey({ client, origin }) {
+  if (client === "owner") return "owner";
+  if (client) return `client:${client}`;
+  return `origin:${origin || "none"}`;
 }
 
-function isBanned() {
-  return Date.now() < bannedUntil;
+// Counts at most once per request, however many CLIs a blocked prompt was
+// meant for
+function recordViolation(ctx) {
+  if (ctx.violation) return;
+  ctx.violation = true;
+  const violator = violatorKey(ctx);
+  const outcome = breaker.record(violator);
+  if (!outcome.banned) return;
+  const seconds = Math.round((outcome.bannedUntil - Date.now()) / 1000);
+  log.warn(`Banned ${violator} for ${seconds}s after repeated violations`);
+  audit(ctx, {
+    status: "BANNED",
+    violator,
+    bannedUntil: new Date(outcome.bannedUntil).toISOString(),
+    strikes: outcome.strikes,
+  });
+}
+
+// Answer a request from a banned client or origin with 403 and Retry-After.
+// Returns true when it did.
+function denyBanned(res, ctx) {
+  const retryAfterMs = breaker.retryAfterMs(violatorKey(ctx));
+  if (retryAfterMs === 0) return false;
+  res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  json(res, 403, {
+    error: "Temporarily banned due to repeated violations",
+    retryAfterMs,
+  });
+  return true;
 }
 
 // --- Core functions ---
 
 function detectClis() {
   return Object.entries(CLI_REGISTRY)
-    .filter(([name]) => CLI_PATHS[name])
+    .filter(([name]) => cliPaths.get(name))
     .map(([name]) => name);
 }
 
-function runCli(name, userPrompt) {
-  return new Promise((resolve) => {
-    const info = CLI_REGISTRY[name];
-    if (!info)
-      return resolve({
-        cli: name,
-        error: `Unknown CLI: ${name}`,
-        success: false,
-      });
+const RESCAN_STATUS = {
+  added: "CLI_ADDED",
+  missing: "CLI_MISSING",
+  restored: "CLI_RESTORED",
+  "path-changed": "CLI_PATH_CHANGED",
+};
 
-    const cliPath = CLI_PATHS[name];
-    if (!cliPath)
-      return resolve({
-        cli: name,
-        error: `${name} CLI not installed`,
-        success: false,
-      });
+// Re-run CLI detection; every change is logged and audited. A CLI that moved
+// keeps its locked path until restart.
+function rescanClis(ctx) {
+  const changes = cliPaths.rescan();
+  for (const change of changes) {
+    audit(ctx, {
+      status: RESCAN_STATUS[change.change],
+      cli: change.cli,
+      path: change.path,
+      ...(change.foundPath ? { foundPath: change.foundPath } : {}),
+    });
+    if (change.change === "path-changed") {
+      log.warn(
+        `${change.cli} now resolves to ${change.foundPath}; still using ` +
+          `${change.path} (restart to accept the new path)`,
+      );
+    } else if (change.change === "missing") {
+      log.warn(`${change.cli} is gone from ${change.path}`);
+    } else {
+      log.info(`${change.cli} available at ${change.path}`);
+    }
+  }
+  return changes;
+}
+
+// Validate CLI + prompt and build the spawn arguments shared by runCli/streamCli.
+// Runs before a job is queued so bad requests fail fast. `schema` asks for
+// JSON output (see runAndCache); `history` is an earlier-conversation
+// transcript (see buildTranscript); `templateVars` marks `userPrompt` as a
+// rendered template whose variables are the only caller input;
+// `attachments` are trimmed data files (see attachments.js). A blocked
+// prompt counts as a violation of the request `ctx` when set.
+// Returns { error } when the request cannot run.
+function prepareCli(
+  name,
+  userPrompt,
+  {
+    schema = null,
+    history = "",
+    templateVars = null,
+    attachments = [],
+    ctx = null,
+  } = {},
+) {
+  const info = CLI_REGISTRY[name];
+  if (!info) return { error: `Unknown CLI: ${name}` };
+
+  const cliPath = cliPaths.get(name);
+  if (!cliPath) return { error: `${name} CLI not installed` };
+
+  // Wrap prompt with system constraints. Warn and redact rules that fire
+  // are reported with the result as `guard`.
+  let wrappedPrompt;
+  const findings = [];
+  try {
+    wrappedPrompt = wrapPrompt(userPrompt, {
+      outputSchema: schema,
+      history,
+      templateVars,
+      attachments,
+      guard,
+      onFinding: (finding) => findings.push(finding),
+    });
+  } catch (e) {
+    if (ctx) recordViolation(ctx);
+    return { error: e.message, violation: true, rule: e.rule };
+  }
+
+  const opts = { env: cleanEnv };
+  if (info.sandbox) {
+    opts.cwd = SANDBOX_DIR;
+  }
+
+  return {
+    name,
+    info,
+    cliPath,
+    args: [...info.args, wrappedPrompt],
+    opts,
+    schema,
+    findings,
+    cacheKey: cacheKey(name, info.args, wrappedPrompt),
+  };
+}
+
+// Run a prepared CLI to completion. Resolves with the sanitized plaintext in
+// `output` and, when anything was redacted, `redactions` ({ type, count });
+// encryption happens when the result is sent (see present()).
+function runCli(prep, signal) {
+  return new Promise((resolve) => {
+    const { name, info, cliPath, args, opts } = prep;
 
-    // Concurrency check
+    // Concurrency check (the job queue keeps us below this; last line of defense)
     if (activeClis >= MAX_CONCURRENT_CLI) {
       return resolve({
         cli: name,
@@ -149,49 +528,524 @@ function runCli(name, userPrompt) {
       });
     }
 
-    // Wrap prompt with system constraints
-    let wrappedPrompt;
-    try {
-      wrappedPrompt = wrapPrompt(userPrompt);
-    } catch (e) {
-      recordViolation();
-      return resolve({ cli: name, error: e.message, success: false });
-    }
-
     activeClis++;
     const start = Date.now();
     const execOpts = {
-      timeout: info.timeout,
-      env: cleanEnv,
+      ...opts,
+      ...TREE_SPAWN_OPTIONS,
       maxBuffer: 64 * 1024,
     };
-
-    if (info.sandbox) {
-      execOpts.cwd = SANDBOX_DIR;
-    }
+    let timedOut = false;
+    let cancelled = false;
 
     const child = execFile(
       cliPath,
-      [...info.args, wrappedPrompt],
+      args,
       execOpts,
       (err, stdout, stderr) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        liveChildren.delete(child);
         activeClis--;
         const elapsed = +((Date.now() - start) / 1000).toFixed(2);
+        if (cancelled) {
+          return resolve({
+            cli: name,
+            error: "Cancelled",
+            success: false,
+            cancelled: true,
+            elapsed,
+          });
+        }
         if (err) {
-          const msg = err.killed
-            ? `Timeout after ${info.timeout / 1000}s`
-            : stderr?.slice(0, 500) || err.message;
-          return resolve({ cli: name, error: msg, success: false, elapsed });
+          const msg =
+            timedOut || err.killed
+              ? `Timeout after ${info.timeout / 1000}s`
+              : stderr?.slice(0, 500) || err.message;
+          return resolve({
+            cli: name,
+            error: msg,
+            success: false,
+            elapsed,
+            exitCode: typeof err.code === "number" ? err.code : null,
+          });
         }
-        const sanitized = sanitizeOutput(stdout.trim());
-        const encResponse = encrypt(sanitized, encryptionKey);
-        resolve({ cli: name, response: encResponse, success: true, elapsed });
+        const { text: output, redactions } = filterOutput(
+          stdout.trim(),
+          redactor,
+        );
+        const result = {
+          cli: name,
+          output,
+          success: true,
+          elapsed,
+          exitCode: 0,
+        };
+        if (redactions.length > 0) result.redactions = redactions;
+        resolve(result);
       },
     );
     child.stdin?.end();
+    liveChildren.add(child);
+
+    // Timeout and cancellation both take down the whole process tree
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killTree(child);
+    }, info.timeout);
+    function onAbort() {
+      cancelled = true;
+      killTree(child);
+    }
+    signal?.addEventListener("abort", onAbort);
   });
 }
 
+// Longest stretch of output without a newline that streamCli holds back
+const STREAM_FLUSH_SIZE = 8 * 1024;
+
+/**
+ * Spawn a prepared CLI and hand its stdout to `onChunk` as it arrives.
+ * Output is forwarded line by line so redaction patterns never straddle a
+ * chunk boundary. A line longer than STREAM_FLUSH_SIZE is sent in pieces,
+ * cut at whitespace where it has any; each chunk is sanitized before
+ * delivery (the caller encrypts it with the requester's key).
+ * `result` resolves with the final status once the process exits, with
+ * `redactions` added up over all chunks.
+ * @param {object} prep - Result of prepareCli()
+ * @param {(text: string) => void} onChunk
+ * @returns {{ result: Promise<object>, kill: () => void } | { error: string }}
+ */
+function streamCli(prep, onChunk) {
+  const { name, info, cliPath, args, opts } = prep;
+  if (activeClis >= MAX_CONCURRENT_CLI) {
+    return { error: "Too many concurrent CLI processes" };
+  }
+
+  activeClis++;
+  const start = Date.now();
+  const child = spawn(cliPath, args, {
+    ...opts,
+    ...TREE_SPAWN_OPTIONS,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  liveChildren.add(child);
+
+  let pending = "";
+  let sentBytes = 0;
+  let truncated = false;
+  let timedOut = false;
+  let killed = false;
+  let stderr = "";
+  let redactions = [];
+
+  function emit(text) {
+    if (truncated || !text) return;
+    if (sentBytes + text.length > MAX_RESPONSE_SIZE) {
+      text =
+        text.slice(0, MAX_RESPONSE_SIZE - sentBytes) +
+        "\n[TRUNCATED: response exceeded 32KB limit]";
+      truncated = true;
+      killTree(child);
+    }
+    sentBytes += text.length;
+    const filtered = filterOutput(text, redactor);
+    redactions = mergeRedactions(redactions, filtered.redactions);
+    onChunk(filtered.text);
+  }
+
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (data) => {
+    pending += data;
+    let cut = pending.lastIndexOf("\n");
+    if (cut === -1) {
+      // No newline yet: hold on to the text until there is enough of it
+      if (pending.length < STREAM_FLUSH_SIZE) return;
+      cut = pending.search(/\s\S*$/);
+      if (cut === -1) cut = pending.length - 1;
+    }
+    emit(pending.slice(0, cut + 1));
+    pending = pending.slice(cut + 1);
+  });
+  child.stderr.setEncoding("utf8");
+  child.stderr.on("data", (data) => {
+    if (stderr.length < 500) stderr += data;
+  });
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    killTree(child);
+  }, info.timeout);
+
+  const result = new Promise((resolve) => {
+    let done = false;
+    function finish(res) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      liveChildren.delete(child);
+      activeClis--;
+      const elapsed = +((Date.now() - start) / 1000).toFixed(2);
+      const result = { cli: name, ...res, elapsed, bytesOut: sentBytes };
+      if (redactions.length > 0) result.redactions = redactions;
+      resolve(result);
+    }
+    child.on("error", (err) => finish({ error: err.message, success: false }));
+    child.on("close", (exitCode) => {
+      if (killed) {
+        return finish({ error: "Cancelled", success: false, cancelled: true });
+      }
+      emit(pending);
+      pending = "";
+      if (timedOut) {
+        return finish({
+          error: `Timeout after ${info.timeout / 1000}s`,
+          success: false,
+          exitCode,
+        });
+      }
+      if (exitCode !== 0 && !truncated) {
+        return finish({
+          error: stderr.slice(0, 500) || `Exited with code ${exitCode}`,
+          success: false,
+          exitCode,
+        });
+      }
+      finish({ success: true, exitCode, truncated });
+    });
+  });
+
+  return {
+    result,
+    kill() {
+      killed = true;
+      killTree(child);
+    },
+  };
+}
+
+// Remember which jobs belong to an HTTP request so it can be cancelled as a whole
+function trackJob(owner, requestId, jobId) {
+  const key = `${owner} ${requestId}`;
+  if (!requestJobs.has(key)) requestJobs.set(key, new Set());
+  requestJobs.get(key).add(jobId);
+  jobQueue.wait(jobId).then(() => {
+    const ids = requestJobs.get(key);
+    ids?.delete(jobId);
+    if (ids?.size === 0) requestJobs.delete(key);
+  });
+}
+
+// Cancel every job of `owner`'s request; returns how many were still active
+function cancelRequest(owner, requestId) {
+  let count = 0;
+  for (const jobId of requestJobs.get(`${owner} ${requestId}`) || []) {
+    if (jobQueue.cancel(jobId)) count++;
+  }
+  return count;
+}
+
+// JSON mode: swap the reply text for the parsed value (re-serialized, so it is
+// encrypted like any other reply) and attach the validation report
+function structureResult(result, schema) {
+  if (!result.success) return result;
+  const { data, validation } = parseStructured(result.output, schema);
+  return {
+    ...result,
+    output: data === undefined ? result.output : JSON.stringify(data),
+    format: "json",
+    validation,
+  };
+}
+
+const isParseFailure = (result) =>
+  result.validation?.errors[0]?.keyword === "parse";
+
+// Run a prepared CLI and store successful output in the response cache.
+// In JSON mode a reply without parsable JSON is retried once, and replies
+// that fail validation are not cached.
+async function runAndCache(prep, signal) {
+  let result = await runCli(prep, signal);
+  if (prep.schema) {
+    result = structureResult(result, prep.schema);
+    if (isParseFailure(result) && !signal?.aborted) {
+      const retry = structureResult(await runCli(prep, signal), prep.schema);
+      result = {
+        ...retry,
+        elapsed: +(result.elapsed + (retry.elapsed || 0)).toFixed(2),
+        attempts: 2,
+      };
+    }
+  }
+  if (result.success && result.validation?.valid !== false && responseCache) {
+    responseCache.set(prep.cacheKey, { cli: prep.name, output: result.output });
+  }
+  return withFindings(result, prep);
+}
+
+// Report the warn/redact rules that fired on the prompt of a result
+const withFindings = (result, prep) =>
+  prep.findings.length > 0 ? { ...result, guard: prep.findings } : result;
+
+// Queue a CLI run. Returns the job snapshot, `{ hit }` with a cached result,
+// or { error } when the request is rejected up front (`busy` when the queue
+// itself is full). `noCache` skips the lookup but still refreshes the entry;
+// the request `ctx` tags the job with the client that submitted it; `ctx`,
+// `schema`, `history`, `templateVars` and `attachments` are passed to
+// prepareCli.
+function submitCli(
+  name,
+  userPrompt,
+  requestId,
+  {
+    noCache = false,
+    ctx = null,
+    schema = null,
+    history = "",
+    templateVars = null,
+    attachments = [],
+  } = {},
+) {
+  const owner = ctx?.client ?? null;
+  const prep = prepareCli(name, userPrompt, {
+    schema,
+    history,
+    templateVars,
+    attachments,
+    ctx,
+  });
+  if (prep.error) return prep;
+  if (responseCache && !noCache) {
+    const hit = responseCache.get(prep.cacheKey);
+    if (hit) {
+      const result = {
+        cli: name,
+        output: hit.output,
+        success: true,
+        elapsed: 0,
+        cached: true,
+        cachedAt: hit.createdAt,
+      };
+      const structured = schema ? structureResult(result, schema) : result;
+      return { hit: withFindings(structured, prep) };
+    }
+  }
+  let job;
+  try {
+    job = jobQueue.submit(name, (signal) => runAndCache(prep, signal), {
+      owner,
+    });
+  } catch (e) {
+    return { error: e.message, busy: true };
+  }
+  if (requestId) trackJob(owner, requestId, job.id);
+  return job;
+}
+
+// Per-CLI diagnostics for `doctor` and GET /diagnostics. Round-trips go
+// through the job queue (never the cache), so they respect concurrency limits.
+const ROUND_TRIP_PROMPT = "Reply with the single word OK.";
+
+function diagnose(
+  names,
+  { roundTrip = false, requestId = null, owner = null } = {},
+) {
+  return Promise.all(
+    names.map((name) =>
+      diagnoseCli({
+        name,
+        info: CLI_REGISTRY[name],
+        path: cliPaths.get(name),
+        env: cleanEnv,
+        fullEnv: process.env,
+        homeDir: os.homedir(),
+        roundTrip: roundTrip
+          ? () => roundTripCli(name, requestId, owner)
+          : null,
+      }),
+    ),
+  );
+}
+
+// Paths, versions and check details can name the home directory or quote a
+// CLI's output, so GET /diagnostics filters them like a reply
+function redactDiagnosis(cli) {
+  const redact = (text) => (text ? filterOutput(text, redactor).text : text);
+  return {
+    ...cli,
+    path: redact(cli.path),
+    version: redact(cli.version),
+    checks: cli.checks.map((check) => ({
+      ...check,
+      detail: redact(check.detail),
+      hint: redact(check.hint),
+    })),
+  };
+}
+
+function roundTripCli(name, requestId, owner) {
+  const prep = prepareCli(name, ROUND_TRIP_PROMPT);
+  if (prep.error) return Promise.resolve({ success: false, error: prep.error });
+  let job;
+  try {
+    job = jobQueue.submit(name, (signal) => runCli(prep, signal));
+  } catch (e) {
+    return Promise.resolve({ success: false, error: e.message });
+  }
+  if (requestId) trackJob(owner, requestId, job.id);
+  return jobQueue.wait(job.id);
+}
+
+// Upper bound for /multi-analyze `deadlineMs`; CLIs still running then are
+// reported as pending jobs
+const MAX_DEADLINE_MS = 10 * 60_000;
+
+// Start every CLI of a multi-analysis. Each run's `done` resolves with its
+// final result; `jobId` is set for runs that went through the queue.
+function startRuns(clis, userPrompt, requestId, opts) {
+  return clis.map((cli) => {
+    const job = submitCli(cli, userPrompt, requestId, opts);
+    if (job.hit) return { cli, jobId: null, done: Promise.resolve(job.hit) };
+    if (job.error) {
+      const { error, violation, rule } = job;
+      const result = { cli, error, success: false, violation, rule };
+      return { cli, jobId: null, done: Promise.resolve(result) };
+    }
+    const done = jobQueue.wait(job.id).then((result) => ({ cli, ...result }));
+    return { cli, jobId: job.id, done };
+  });
+}
+
+// Cache hits, runs rejected up front (no `jobId`) and jobs cancelled while
+// still queued cost no rate-limit token, whichever route started them
+function neverStarted(jobId, result) {
+  if (!jobId) return true;
+  return result.cancelled === true && !jobQueue.get(jobId)?.startedAt;
+}
+
+// Wait for the runs, or until `deadlineMs` passes. Results keep the order of
+// `runs`; unfinished ones become `{ cli, success: false, pending: true, jobId }`
+// and keep running as jobs. `onResult` sees each result finished in time.
+function collectRuns(runs, { deadlineMs = null, onResult = () => {} } = {}) {
+  const results = runs.map(() => null);
+  let closed = false;
+  const all = Promise.all(
+    runs.map((run, i) =>
+      run.done.then((result) => {
+        if (closed) return;
+        results[i] = result;
+        onResult(result);
+      }),
+    ),
+  );
+  const deadline =
+    deadlineMs === null
+      ? all
+      : Promise.race([
+          all,
+          new Promise((resolve) => {
+            const timer = setTimeout(resolve, deadlineMs);
+            all.then(() => clearTimeout(timer));
+          }),
+        ]);
+  return deadline.then(() => {
+    closed = true;
+    return runs.map(
+      (run, i) =>
+        results[i] || {
+          cli: run.cli,
+          success: false,
+          pending: true,
+          jobId: run.jobId,
+        },
+    );
+  });
+}
+
+// Ask the judge CLI to merge the answers of a multi-CLI run; returns a run
+// like startRuns. Its prompt is built from CLI output, so a blocked prompt is
+// reported as `skipped` instead of counting as the caller's violation.
+function runJudge(judge, question, results, requestId, opts) {
+  const skip = (error) => ({
+    cli: judge,
+    jobId: null,
+    done: Promise.resolve({ cli: judge, error, success: false, skipped: true }),
+  });
+  if (!results.some((r) => r.success)) return skip("No answers to merge");
+  const prompt = judgePrompt(question, results);
+  try {
+    wrapPrompt(prompt, { guard });
+  } catch (e) {
+    return skip(e.message);
+  }
+  return startRuns([judge], prompt, requestId, opts)[0];
+}
+
+function auditStatus(result) {
+  if (result.success) return result.cached ? "CACHE_HIT" : "OK";
+  if (result.violation) return "BLOCKED";
+  return result.cancelled ? "CANCELLED" : "FAIL";
+}
+
+// Audit fields describing a finished (or rejected) CLI run
+function resultFields(result) {
+  return {
+    status: auditStatus(result),
+    elapsedMs:
+      result.elapsed === undefined
+        ? undefined
+        : Math.round(result.elapsed * 1000),
+    exitCode: result.exitCode,
+    bytesOut:
+      result.output === undefined
+        ? result.bytesOut
+        : Buffer.byteLength(result.output),
+    reason: result.success ? undefined : result.error,
+    rule: result.rule,
+    guard: result.guard?.map((finding) => finding.rule),
+    redactions: result.redactions,
+    valid: result.validation?.valid,
+  };
+}
+
+// Encrypt the CLI output for the wire
+function present(result, key) {
+  if (!result || result.output === undefined) return result;
+  const { output, ...rest } = result;
+  return {
+    ...rest,
+    cached: rest.cached === true,
+    response: encrypt(output, key),
+  };
+}
+
+function presentJob(job, key) {
+  return {
+    id: job.id,
+    cli: job.key,
+    status: job.status,
+    position: job.position,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: present(job.result, key),
+  };
+}
+
+function presentSession(session) {
+  return {
+    id: session.id,
+    cli: session.cli,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    expiresAt: session.expiresAt,
+    turnCount: session.turnCount,
+    droppedTurns: session.droppedTurns,
+  };
+}
+
+// Read and parse a JSON request body. Rejects anything but a JSON object, so
+// routes can read fields without checking for null or arrays.
 function readBody(req) {
   return new Promise((resolve, reject) => {
     const chunks = [];
@@ -207,31 +1061,68 @@ function readBody(req) {
       chunks.push(c);
     });
     req.on("end", () => {
+      let body;
       try {
-        resolve(JSON.parse(Buffer.concat(chunks).toString()));
+        body = JSON.parse(Buffer.concat(chunks).toString());
       } catch (e) {
-        reject(e);
+        return reject(e);
+      }
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return reject(new Error("Request body must be a JSON object"));
       }
+      resolve(body);
     });
     req.on("error", reject);
   });
 }
 
-function cors(req, res) {
-  const origin = req.headers.origin;
-  if (ALLOWED_ORIGINS.includes(origin))
-    res.setHeader("Access-Control-Allow-Origin", origin);
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Bridge-Token");
+function cors(req, res, allowOrigin) {
+  if (allowOrigin) {
+    res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, X-Bridge-Token, X-Request-Id, Cache-Control",
+  );
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "X-Request-Id, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset",
+  );
   // Chrome Private Network Access (PNA): allow public site → localhost requests
   if (req.headers["access-control-request-private-network"]) {
     res.setHeader("Access-Control-Allow-Private-Network", "true");
   }
 }
 
+// Use the client's X-Request-Id when it is well-formed so the client can
+// cancel before the response arrives; otherwise generate one.
+function requestIdFor(req) {
+  const id = req.headers["x-request-id"];
+  return typeof id === "string" && /^[\w-]{1,64}$/.test(id)
+    ? id
+    : crypto.randomUUID();
+}
+
+// Cancel the request's CLI runs if the client disconnects before the response
+function cancelOnDisconnect(res, ctx) {
+  res.on("close", () => {
+    if (!res.writableEnded) cancelRequest(ctx.client, ctx.requestId);
+  });
+}
+
+// Cache-Control: no-cache forces a fresh CLI run
+function wantsFresh(req) {
+  return /no-cache/i.test(req.headers["cache-control"] || "");
+}
+
 function checkHost(req) {
-  const host = (req.headers.host || "").split(":")[0];
-  return host === "localhost" || host === "127.0.0.1";
+  const raw = req.headers.host || "";
+  const host = raw.startsWith("[")
+    ? raw.slice(0, raw.indexOf("]") + 1)
+    : raw.split(":")[0];
+  return host === "localhost" || host === "127.0.0.1" || host === "[::1]";
 }
 
 function json(res, statusCode, data) {
@@ -243,10 +1134,270 @@ function json(res, statusCode, data) {
   res.end(JSON.stringify(data));
 }
 
+function wantsEventStream(req) {
+  return (req.headers.accept || "").includes("text/event-stream");
+}
+
+function sseOpen(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+  });
+}
+
+function sseSend(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Decrypt (if needed) and validate body.prompt, or render body.template.
+// Returns { prompt, template }, where `template` is null for a plain prompt.
+// Sends a 4xx and returns null when the prompt is unusable.
+function extractPrompt(body, res, key) {
+  if (body.template !== undefined) {
+    if (body.prompt !== undefined) {
+      json(res, 400, { error: "Send either prompt or template, not both" });
+      return null;
+    }
+    return extractTemplate(body, res, key);
+  }
+  let prompt = body.prompt;
+  if (isEncryptedPrompt(prompt)) {
+    try {
+      prompt = decrypt(prompt, key);
+    } catch {
+      json(res, 400, { error: "Decryption failed" });
+      return null;
+    }
+  }
+  if (!prompt || typeof prompt !== "string") {
+    json(res, 400, { error: "prompt is required" });
+    return null;
+  }
+  return { prompt, template: null };
+}
+
+// Render body.template with body.vars (optionally encrypted like a prompt).
+// `template` in the result is { id: "name@version", name, version, vars }
+// with the validated variables, which are all wrapPrompt screens.
+function extractTemplate(body, res, key) {
+  const name = body.template;
+  const template = typeof name === "string" ? templates.get(name) : null;
+  if (!template) {
+    json(res, 400, { error: `Unknown template: ${name}` });
+    return null;
+  }
+  if (template.error) {
+    json(res, 500, { error: `Template ${name} is invalid: ${template.error}` });
+    return null;
+  }
+  const wanted = body.templateVersion;
+  if (wanted !== undefined && wanted !== template.version) {
+    json(res, 409, {
+      error: `Template ${name} is at version ${template.version}, not ${wanted}`,
+    });
+    return null;
+  }
+  let vars = body.vars;
+  if (isEncryptedPrompt(vars)) {
+    try {
+      vars = JSON.parse(decrypt(vars, key));
+    } catch {
+      json(res, 400, { error: "Decryption failed" });
+      return null;
+    }
+  }
+  const checked = validateVars(template, vars);
+  if (checked.errors) {
+    json(res, 400, {
+      error: "Invalid vars",
+      errors: checked.errors.slice(0, 20),
+    });
+    return null;
+  }
+  return {
+    prompt: render(template, checked.values),
+    template: {
+      id: `${name}@${template.version}`,
+      name,
+      version: template.version,
+      vars: checked.values,
+    },
+  };
+}
+
+// Most CLIs one /multi-analyze request may name
+const MAX_MULTI_CLIS = 10;
+
+// Validate body.clis (default claude and gemini) and drop repeated names.
+// Returns the list; sends a 400 with schema-style `errors` and returns null
+// when it is unusable.
+function extractCliList(body, res) {
+  const clis = body.clis ?? ["claude", "gemini"];
+  const schema = {
+    type: "array",
+    minItems: 1,
+    maxItems: MAX_MULTI_CLIS,
+    items: { type: "string", enum: Object.keys(CLI_REGISTRY) },
+  };
+  const errors = validateSchema(clis, schema, "$.clis");
+  if (errors.length > 0) {
+    json(res, 400, { error: "Invalid clis", errors: errors.slice(0, 20) });
+    return null;
+  }
+  return [...new Set(clis)];
+}
+
+// Read body.format ("text" by default, or "json" with body.schema).
+// Returns { schema } (null for text); sends a 400 and returns null when the
+// format or schema is unusable.
+function extractOutputFormat(body, res) {
+  const format = body.format ?? "text";
+  if (format === "text") return { schema: null };
+  if (format !== "json") {
+    json(res, 400, { error: 'format must be "text" or "json"' });
+    return null;
+  }
+  try {
+    checkSchema(body.schema);
+  } catch (e) {
+    json(res, 400, { error: e.message });
+    return null;
+  }
+  return { schema: body.schema };
+}
+
+// Read the data files named in body.attachments. Returns them trimmed for the
+// prompt (an empty list without attachments); sends a 400 and returns null
+// when one is unusable.
+function extractAttachments(body, res) {
+  if (body.attachments === undefined) return [];
+  try {
+    return attachmentReader.load(body.attachments);
+  } catch (e) {
+    json(res, 400, { error: e.message });
+    return null;
+  }
+}
+
+// Responds 403 and returns true if the client may not run one of `clis`
+function denyClis(res, ctx, client, clis) {
+  const denied = clis.find((c) => !clientAllows(client, c));
+  if (denied === undefined) return false;
+  const error = `Client "${client.label}" may not use ${denied}`;
+  audit(ctx, { cli: denied, status: "FORBIDDEN", reason: error });
+  json(res, 403, { error });
+  return true;
+}
+
+// X-RateLimit-* headers for `bucket`: its size, the tokens left and seconds
+// until it is full again
+function rateLimitHeaders(res, bucket) {
+  res.setHeader("X-RateLimit-Limit", String(bucket.capacity));
+  res.setHeader("X-RateLimit-Remaining", String(bucket.remaining()));
+  res.setHeader(
+    "X-RateLimit-Reset",
+    String(Math.ceil(bucket.resetMs() / 1000)),
+  );
+}
+
+// Answer 429 for a request that needs `cost` tokens from `bucket`, with the
+// wait until the bucket has them in Retry-After and `retryAfterMs`. `cli`
+// names the CLI whose bucket ran out, if it was not the caller's.
+function rateLimited(res, ctx, bucket, cost, { cli, fields = {} } = {}) {
+  const retryAfterMs = bucket.retryAfterMs(cost);
+  audit(ctx, { cli, status: "RATE_LIMITED", ...fields });
+  rateLimitHeaders(res, bucket);
+  if (!Number.isFinite(retryAfterMs)) {
+    return json(res, 429, {
+      error: `Request needs ${cost} rate-limit tokens, more than the ${bucket.capacity} available`,
+      cli,
+      retryAfterMs: null,
+    });
+  }
+  res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  return json(res, 429, { error: "Too many requests", cli, retryAfterMs });
+}
+
+// Reserve the rate-limit tokens for running `clis`. Each run costs its weight
+// from the caller's bucket and from the CLI's own bucket. `prepaid` tokens
+// were already taken from the caller's bucket (the one every POST costs).
+// All or nothing: a request that gets 429 has its prepaid tokens returned
+// too. Returns true when it answered 429.
+function limitClis(
+  res,
+  ctx,
+  limiter,
+  clis,
+  { prepaid = 1, fields = clis.length === 1 ? { cli: clis[0] } : {} } = {},
+) {
+  const costs = new Map();
+  for (const cli of clis) {
+    costs.set(cli, (costs.get(cli) || 0) + cliWeight(cli));
+  }
+  const total = [...costs.values()].reduce((sum, cost) => sum + cost, 0);
+  const extra = Math.max(0, total - prepaid);
+  if (!limiter.tryConsume(extra)) {
+    limiter.refund(prepaid);
+    rateLimited(res, ctx, limiter, total, { fields });
+    return true;
+  }
+  const taken = [];
+  for (const [cli, cost] of costs) {
+    // Unknown CLIs are rejected later and have no bucket
+    if (!Object.hasOwn(CLI_REGISTRY, cli)) continue;
+    const bucket = cliLimiter(cli);
+    if (bucket.tryConsume(cost)) {
+      taken.push([bucket, cost]);
+      continue;
+    }
+    for (const [held, n] of taken) held.refund(n);
+    limiter.refund(extra + prepaid);
+    rateLimited(res, ctx, bucket, cost, { cli, fields });
+    return true;
+  }
+  rateLimitHeaders(res, limiter);
+  return false;
+}
+
+// Give back what limitClis took for a run of `cli` that never happened. The
+// rate-limit headers are set again, unless the response has started already.
+function refundRun(res, limiter, cli) {
+  limiter.refund(cliWeight(cli));
+  if (Object.hasOwn(CLI_REGISTRY, cli)) cliLimiter(cli).refund(cliWeight(cli));
+  if (!res.headersSent) rateLimitHeaders(res, limiter);
+}
+
 // --- HTTP Server ---
 
 const server = http.createServer(async (req, res) => {
-  cors(req, res);
+  const url = req.url?.split("?")[0];
+  if (log.level === "debug") {
+    const started = Date.now();
+    res.on("finish", () =>
+      log.debug(
+        `${req.method} ${url} ${res.statusCode} ${Date.now() - started}ms`,
+      ),
+    );
+  }
+  const origin = req.headers.origin;
+  const trustedOrigin = originPolicy.isAllowed(origin);
+
+  // Browser requests from unknown origins are rejected, except /health so a
+  // page can find out it is not trusted. Requests without an Origin header
+  // (curl, scripts) still need a token below.
+  cors(req, res, trustedOrigin || (url === "/health" && origin !== undefined));
+  if (origin !== undefined && !trustedOrigin && url !== "/health") {
+    audit(
+      { requestId: requestIdFor(req), origin },
+      { status: "ORIGIN_REJECTED", reason: `${req.method} ${url}` },
+    );
+    return json(res, 403, { error: "Origin not allowed" });
+  }
+
   if (req.method === "OPTIONS") {
     res.writeHead(204);
     return res.end();
@@ -257,118 +1408,876 @@ const server = http.createServer(async (req, res) => {
     return json(res, 403, { error: "Invalid host" });
   }
 
-  // Circuit breaker — ban after repeated violations
-  if (isBanned()) {
-    return json(res, 403, {
-      error: "Temporarily banned due to repeated violations",
-    });
-  }
+  const requestId = requestIdFor(req);
+  res.setHeader("X-Request-Id", requestId);
+  const ctx = { requestId, origin };
 
-  const url = req.url?.split("?")[0];
+  // Circuit breaker — an origin banned after repeated violations is turned
+  // away before anything else; banned clients once they authenticate
+  if (denyBanned(res, ctx)) return;
 
-  // Health endpoint — no auth required, returns token for auto-sync
+  // Health endpoint — no auth required, never exposes credentials.
+  // `trustedOrigin` is null for requests without an Origin header.
   if (url === "/health" && req.method === "GET") {
     res.setHeader("Cache-Control", "no-store");
+    if (origin !== undefined && !trustedOrigin) {
+      return json(res, 200, {
+        status: "ok",
+        version: PKG_VERSION,
+        trustedOrigin: false,
+      });
+    }
     return json(res, 200, {
       status: "ok",
       cli: detectClis(),
       version: PKG_VERSION,
       security: true,
       encryption: true,
-      token: auth.getToken(),
+      queue: jobQueue.stats(),
+      trustedOrigin: origin === undefined ? null : true,
     });
   }
 
-  // All POST endpoints require token auth
-  if (req.method === "POST") {
+  // Everything else except pairing requires the session token or a paired
+  // client's credential, which is only valid from the origin it was issued to
+  let key;
+  let isOwner = false;
+  let client = null;
+  if (!PAIRING_ROUTES.has(url)) {
     const token = req.headers["x-bridge-token"];
-    if (!auth.validate(token)) {
-      recordViolation();
-      audit("none", req.headers.origin, "", "AUTH_FAIL");
+    isOwner = auth.validate(token);
+    if (!isOwner) client = clients.authenticate(token, ctx.origin);
+    if (!isOwner && !client) {
+      recordViolation(ctx);
+      audit(ctx, { status: "AUTH_FAIL", reason: "Invalid or missing token" });
       return json(res, 403, { error: "Invalid or missing token" });
     }
+    ctx.client = client ? client.id : "owner";
+    // A banned session token can still lift bans, its own included
+    const liftsBans =
+      isOwner &&
+      req.method === "DELETE" &&
+      /^\/security\/bans(\/|$)/.test(url);
+    if (!liftsBans && denyBanned(res, ctx)) return;
+    key = keyFor(token);
+  }
+  const limiter = limiterFor(ctx, client);
+
+  // Dry run of prompt screening. Comes before rate limiting and never counts
+  // as a violation, so callers can check a prompt before sending it. The
+  // normalized prompt is encrypted like a response; offsets in `matches`
+  // point into it.
+  if (url === "/validate" && req.method === "POST") {
+    try {
+      const body = await readBody(req);
+      const request = extractPrompt(body, res, key);
+      if (request === null) return;
+      const { prompt, template } = request;
+      const report = inspectPrompt(prompt, {
+        templateVars: template?.vars,
+        guard,
+      });
+      audit(ctx, {
+        status: "VALIDATE",
+        template: template?.id,
+        rule: report.rule,
+        bytesIn: Buffer.byteLength(prompt),
+      });
+      return json(res, 200, {
+        ...report,
+        normalized: encrypt(report.normalized, key),
+        matches: report.matches.map(({ match, ...rest }) => rest),
+      });
+    } catch (e) {
+      return json(res, 400, { error: e.message || "Invalid JSON" });
+    }
   }
 
   // Rate limiting for POST requests
-  if (req.method === "POST" && !rateLimiter.tryConsume()) {
-    audit("none", req.headers.origin, "", "RATE_LIMITED");
-    return json(res, 429, { error: "Too many requests", retryAfterMs: 6000 });
+  if (req.method === "POST") {
+    if (!limiter.tryConsume()) return rateLimited(res, ctx, limiter, 1);
+    rateLimitHeaders(res, limiter);
   }
 
-  if (url === "/analyze" && req.method === "POST") {
+  // Pairing, step 1 — show a short code in the terminal for the user to confirm
+  if (url === "/pair" && req.method === "POST") {
+    if (!trustedOrigin) {
+      audit(ctx, { status: "PAIR_FAIL", reason: "Origin not allowed" });
+      return json(res, 403, { error: "Pairing requires an allowed Origin" });
+    }
+    const { id, code, expiresAt } = pairing.start(ctx.origin);
+    // Printed at every --log-level: the user has to read the code
+    console.log(
+      `\nPairing request from ${ctx.origin}\n` +
+        `  Code: ${code.slice(0, 3)} ${code.slice(3)}` +
+        ` (expires ${new Date(expiresAt).toLocaleTimeString()})\n` +
+        `  Only enter this code if you started pairing in that app.\n`,
+    );
+    audit(ctx, { status: "PAIR_START" });
+    return json(res, 200, {
+      pairingId: id,
+      expiresInMs: expiresAt - Date.now(),
+    });
+  }
+
+  // Pairing, step 2 — the code the user typed in the app issues a credential
+  if (url === "/pair/confirm" && req.method === "POST") {
     try {
       const body = await readBody(req);
-      let prompt = body.prompt;
-      if (isEncryptedPrompt(prompt)) {
-        try {
-          prompt = decrypt(prompt, encryptionKey);
-        } catch {
-          return json(res, 400, { error: "Decryption failed" });
-        }
+      const outcome = pairing.confirm(body.pairingId, body.code, ctx.origin);
+      if (!outcome.ok) {
+        recordViolation(ctx);
+        audit(ctx, { status: "PAIR_FAIL", reason: outcome.error });
+        return json(res, 403, { error: outcome.error });
       }
-      if (!prompt || typeof prompt !== "string") {
-        return json(res, 400, { error: "prompt is required" });
+      const { client, secret } = clients.issue({ origin: ctx.origin });
+      log.info(`Paired ${ctx.origin} (client ${client.id})`);
+      audit(ctx, { status: "PAIRED", clientId: client.id });
+      return json(res, 200, {
+        credential: secret,
+        clientId: client.id,
+        origin: client.origin,
+      });
+    } catch (e) {
+      return json(res, 400, { error: e.message || "Invalid JSON" });
+    }
+  }
+
+  // Streaming analysis — POST /analyze/stream, or /analyze with Accept: text/event-stream
+  if (
+    req.method === "POST" &&
+    (url === "/analyze/stream" || (url === "/analyze" && wantsEventStream(req)))
+  ) {
+    try {
+      const body = await readBody(req);
+      const request = extractPrompt(body, res, key);
+      if (request === null) return;
+      const { prompt, template } = request;
+      if (body.format === "json") {
+        return json(res, 400, { error: "format json cannot be streamed" });
       }
+      const attachments = extractAttachments(body, res);
+      if (attachments === null) return;
       const cli = body.cli || "gemini";
-      audit(cli, req.headers.origin, prompt, "START");
-      const result = await runCli(cli, prompt);
-      audit(cli, req.headers.origin, prompt, result.success ? "OK" : "FAIL");
-      return json(res, result.success ? 200 : 502, result);
+      if (denyClis(res, ctx, client, [cli])) return;
+      if (limitClis(res, ctx, limiter, [cli])) return;
+      audit(ctx, {
+        cli,
+        status: "STREAM_START",
+        template: template?.id,
+        attachments: attachments.length || undefined,
+        bytesIn: Buffer.byteLength(prompt),
+      });
+
+      const prep = prepareCli(cli, prompt, {
+        templateVars: template?.vars,
+        attachments,
+        ctx,
+      });
+      if (prep.error) {
+        refundRun(res, limiter, cli);
+        audit(ctx, { cli, ...resultFields(prep) });
+        const { error, violation, rule } = prep;
+        return json(res, 502, { cli, error, success: false, violation, rule });
+      }
+
+      sseOpen(res);
+      let seq = 0;
+      let job;
+      try {
+        job = jobQueue.submit(
+          cli,
+          (signal) => {
+            const stream = streamCli(prep, (text) => {
+              sseSend(res, "chunk", {
+                seq: seq++,
+                data: encrypt(text, key),
+              });
+            });
+            if (stream.error) {
+              return { cli, error: stream.error, success: false };
+            }
+            sseSend(res, "start", { cli });
+            signal.addEventListener("abort", stream.kill);
+            return stream.result;
+          },
+          { owner: ctx.client },
+        );
+        trackJob(ctx.client, requestId, job.id);
+      } catch (e) {
+        refundRun(res, limiter, cli);
+        audit(ctx, { cli, status: "FAIL", reason: e.message });
+        sseSend(res, "done", {
+          cli,
+          error: e.message,
+          success: false,
+          chunks: 0,
+        });
+        return res.end();
+      }
+      if (job.status === "queued") {
+        sseSend(res, "queued", { jobId: job.id, position: job.position });
+      }
+      // Stop the CLI if the client goes away mid-stream
+      cancelOnDisconnect(res, ctx);
+
+      const result = withFindings(
+        { cli, ...(await jobQueue.wait(job.id)) },
+        prep,
+      );
+      if (neverStarted(job.id, result)) refundRun(res, limiter, cli);
+      audit(ctx, { cli, ...resultFields(result) });
+      sseSend(res, "done", { ...result, chunks: seq });
+      return res.end();
     } catch (e) {
+      if (res.headersSent) return res.end();
       return json(res, 400, { error: e.message || "Invalid JSON" });
     }
   }
 
-  if (url === "/multi-analyze" && req.method === "POST") {
+  if (url === "/analyze" && req.method === "POST") {
     try {
       const body = await readBody(req);
-      let prompt = body.prompt;
-      if (isEncryptedPrompt(prompt)) {
-        try {
-          prompt = decrypt(prompt, encryptionKey);
-        } catch {
-          return json(res, 400, { error: "Decryption failed" });
-        }
+      const request = extractPrompt(body, res, key);
+      if (request === null) return;
+      const { prompt, template } = request;
+      const output = extractOutputFormat(body, res);
+      if (output === null) return;
+      const attachments = extractAttachments(body, res);
+      if (attachments === null) return;
+      const cli = body.cli || "gemini";
+      if (denyClis(res, ctx, client, [cli])) return;
+      if (limitClis(res, ctx, limiter, [cli])) return;
+      audit(ctx, {
+        cli,
+        status: "START",
+        template: template?.id,
+        attachments: attachments.length || undefined,
+        bytesIn: Buffer.byteLength(prompt),
+      });
+      cancelOnDisconnect(res, ctx);
+      const job = submitCli(cli, prompt, requestId, {
+        noCache: wantsFresh(req),
+        ctx,
+        schema: output.schema,
+        templateVars: template?.vars,
+        attachments,
+      });
+      if (job.hit) {
+        refundRun(res, limiter, cli);
+        audit(ctx, { cli, ...resultFields(job.hit) });
+        return json(res, 200, present(job.hit, key));
       }
-      if (!prompt || typeof prompt !== "string") {
-        return json(res, 400, { error: "prompt is required" });
+      if (job.error) {
+        refundRun(res, limiter, cli);
+        audit(ctx, { cli, ...resultFields(job) });
+        return json(res, job.busy ? 503 : 502, {
+          cli,
+          error: job.error,
+          success: false,
+          violation: job.violation,
+          rule: job.rule,
+        });
       }
-      const clis = body.clis || ["claude", "gemini"];
-
-      // Rate limit: each CLI counts as 1 request (first already consumed above)
-      for (let i = 1; i < clis.length; i++) {
-        if (!rateLimiter.tryConsume()) {
-          audit("multi", req.headers.origin, prompt, "RATE_LIMITED");
-          return json(res, 429, {
-            error: "Too many requests",
-            retryAfterMs: 6000,
+      const result = { cli, ...(await jobQueue.wait(job.id)) };
+      if (neverStarted(job.id, result)) refundRun(res, limiter, cli);
+      audit(ctx, { cli, ...resultFields(result) });
+      return json(res, result.success ? 200 : 502, present(result, key));
+    } catch (e) {
+      return json(res, 400, { error: e.message || "Invalid JSON" });
+    }
+  }
+
+  // Multi-CLI analysis. With `deadlineMs` the answer comes back once the
+  // deadline passes, listing unfinished CLIs as pending jobs.
+  // /multi-analyze/stream (or Accept: text/event-stream) sends each result as
+  // soon as it is ready.
+  if (
+    (url === "/multi-analyze" || url === "/multi-analyze/stream") &&
+    req.method === "POST"
+  ) {
+    try {
+      const body = await readBody(req);
+      const request = extractPrompt(body, res, key);
+      if (request === null) return;
+      const { prompt, template } = request;
+      const output = extractOutputFormat(body, res);
+      if (output === null) return;
+      const attachments = extractAttachments(body, res);
+      if (attachments === null) return;
+      const clis = extractCliList(body, res);
+      if (clis === null) return;
+      const consensusOpts = parseConsensusOptions(body.consensus, CLI_REGISTRY);
+      const judge = consensusOpts?.judge ?? null;
+      const { deadlineMs = null } = body;
+      const validDeadline =
+        Number.isInteger(deadlineMs) &&
+        deadlineMs >= 1 &&
+        deadlineMs <= MAX_DEADLINE_MS;
+      if (deadlineMs !== null && !validDeadline) {
+        return json(res, 400, {
+          error: `deadlineMs must be an integer between 1 and ${MAX_DEADLINE_MS}`,
+        });
+      }
+      const runClis = judge ? [...clis, judge] : clis;
+      if (denyClis(res, ctx, client, runClis)) return;
+      // Each CLI costs its weight, and so does the judge
+      const fields = { cli: "multi", clis };
+      if (limitClis(res, ctx, limiter, runClis, { fields })) return;
+
+      audit(ctx, {
+        cli: "multi",
+        clis,
+        status: "START",
+        template: template?.id,
+        attachments: attachments.length || undefined,
+        bytesIn: Buffer.byteLength(prompt),
+      });
+      cancelOnDisconnect(res, ctx);
+      const noCache = wantsFresh(req);
+      const runs = startRuns(clis, prompt, requestId, {
+        noCache,
+        ctx,
+        schema: output.schema,
+        templateVars: template?.vars,
+        attachments,
+      });
+      // Runs are audited (and refunded if they never started) when they
+      // finish, even after a deadline
+      for (const run of runs) {
+        run.done.then((r) => {
+          if (neverStarted(run.jobId, r)) refundRun(res, limiter, run.cli);
+          audit(ctx, {
+            cli: r.cli,
+            jobId: run.jobId ?? undefined,
+            ...resultFields(r),
           });
+        });
+      }
+
+      const stream = url === "/multi-analyze/stream" || wantsEventStream(req);
+      if (stream) sseOpen(res);
+      const results = await collectRuns(runs, {
+        deadlineMs,
+        onResult: stream
+          ? (r) => sseSend(res, "result", present(r, key))
+          : undefined,
+      });
+      const pending = results.filter((r) => r.pending);
+      if (stream) {
+        for (const { cli, jobId } of pending) {
+          sseSend(res, "pending", { cli, jobId });
         }
       }
 
-      audit("multi:" + clis.join(","), req.headers.origin, prompt, "START");
-      const results = await Promise.all(clis.map((c) => runCli(c, prompt)));
-      audit("multi:" + clis.join(","), req.headers.origin, prompt, "OK");
-      return json(res, 200, {
-        results,
+      const response = {
         requestedClis: clis,
         successCount: results.filter((r) => r.success).length,
+        pendingCount: pending.length,
+      };
+      if (consensusOpts) {
+        const consensus = buildConsensus(results);
+        if (judge) {
+          const run = runJudge(judge, prompt, results, requestId, {
+            noCache,
+            ctx,
+          });
+          const verdict = await run.done;
+          if (neverStarted(run.jobId, verdict)) {
+            refundRun(res, limiter, judge);
+          }
+          audit(ctx, { cli: judge, judge: true, ...resultFields(verdict) });
+          const { output: answer = null, ...meta } = verdict;
+          consensus.judge = { ...meta, answer };
+        }
+        // Stances, targets and the merged answer are derived from the
+        // responses, so they are encrypted like them
+        response.consensus = encrypt(JSON.stringify(consensus), key);
+      }
+      if (stream) {
+        sseSend(res, "done", response);
+        return res.end();
+      }
+      return json(res, 200, {
+        results: results.map((r) => present(r, key)),
+        ...response,
       });
     } catch (e) {
+      if (res.headersSent) return res.end();
       return json(res, 400, { error: e.message || "Invalid JSON" });
     }
   }
 
+  // Asynchronous jobs — submit, poll, cancel
+  if (url === "/jobs" && req.method === "POST") {
+    try {
+      const body = await readBody(req);
+      const request = extractPrompt(body, res, key);
+      if (request === null) return;
+      const { prompt, template } = request;
+      const output = extractOutputFormat(body, res);
+      if (output === null) return;
+      const attachments = extractAttachments(body, res);
+      if (attachments === null) return;
+      const cli = body.cli || "gemini";
+      if (denyClis(res, ctx, client, [cli])) return;
+      if (limitClis(res, ctx, limiter, [cli])) return;
+      const job = submitCli(cli, prompt, null, {
+        noCache: wantsFresh(req),
+        ctx,
+        schema: output.schema,
+        templateVars: template?.vars,
+        attachments,
+      });
+      if (job.hit) {
+        refundRun(res, limiter, cli);
+        audit(ctx, { cli, ...resultFields(job.hit) });
+        return json(res, 200, {
+          id: null,
+          cli,
+          status: "done",
+          position: 0,
+          result: present(job.hit, key),
+        });
+      }
+      if (job.error) {
+        refundRun(res, limiter, cli);
+        audit(ctx, { cli, ...resultFields(job) });
+        return json(res, job.busy ? 503 : 400, {
+          cli,
+          error: job.error,
+          violation: job.violation,
+          rule: job.rule,
+        });
+      }
+      audit(ctx, {
+        cli,
+        status: "QUEUED",
+        jobId: job.id,
+        template: template?.id,
+        attachments: attachments.length || undefined,
+        bytesIn: Buffer.byteLength(prompt),
+      });
+      jobQueue
+        .wait(job.id)
+        .then((result) => {
+          if (neverStarted(job.id, result)) refundRun(res, limiter, cli);
+          audit(ctx, { cli, jobId: job.id, ...resultFields(result) });
+        });
+      return json(res, 202, presentJob(job, key));
+    } catch (e) {
+      return json(res, 400, { error: e.message || "Invalid JSON" });
+    }
+  }
+
+  const jobMatch = url?.match(/^\/jobs\/([\w-]+)$/);
+  // Paired clients only see their own jobs
+  const visibleJob = (id) => {
+    const job = jobQueue.get(id);
+    return job && (isOwner || job.owner === ctx.client) ? job : null;
+  };
+
+  if (jobMatch && req.method === "GET") {
+    const job = visibleJob(jobMatch[1]);
+    if (!job) return json(res, 404, { error: "Job not found" });
+    return json(res, 200, presentJob(job, key));
+  }
+
+  if (jobMatch && req.method === "DELETE") {
+    const job = visibleJob(jobMatch[1]);
+    if (!job) return json(res, 404, { error: "Job not found" });
+    if (!jobQueue.cancel(job.id)) {
+      return json(res, 409, { error: `Job already ${job.status}` });
+    }
+    return json(res, 200, presentJob(jobQueue.get(job.id), key));
+  }
+
+  // Prompt templates, without their text
+  if (url === "/templates" && req.method === "GET") {
+    return json(res, 200, { templates: templates.list() });
+  }
+
+  // Prompt screening rules in the order they run
+  if (url === "/security/rules" && req.method === "GET") {
+    return json(res, 200, { rules: guard.rules() });
+  }
+
+  // Circuit breaker state. Paired clients only see their own client and
+  // origin.
+  if (url === "/security/status" && req.method === "GET") {
+    const own = new Set([violatorKey(ctx), violatorKey({ origin })]);
+    res.setHeader("Cache-Control", "no-store");
+    return json(res, 200, {
+      threshold: BAN_THRESHOLD,
+      windowMs: BAN_WINDOW_MS,
+      entries: breaker.status().filter((e) => isOwner || own.has(e.key)),
+    });
+  }
+
+  // Lift one ban (DELETE /security/bans/<key>) or all of them
+  const banMatch = url?.match(/^\/security\/bans(?:\/([^/]+))?$/);
+  if (banMatch && req.method === "DELETE") {
+    if (!isOwner) {
+      return json(res, 403, { error: "Only the session token can lift bans" });
+    }
+    if (banMatch[1] === undefined) {
+      const lifted = breaker.liftAll();
+      audit(ctx, { status: "BAN_LIFT", violator: "*" });
+      return json(res, 200, { lifted });
+    }
+    let violator;
+    try {
+      violator = decodeURIComponent(banMatch[1]);
+    } catch {
+      return json(res, 400, { error: "Invalid key" });
+    }
+    if (!breaker.lift(violator)) {
+      return json(res, 404, {
+        error: `No violations recorded for ${violator}`,
+      });
+    }
+    audit(ctx, { status: "BAN_LIFT", violator });
+    return json(res, 200, { lifted: 1 });
+  }
+
+  // Conversation sessions — start, send messages, read, end
+  if (url === "/sessions" && req.method === "POST") {
+    try {
+      const body = await readBody(req);
+      const cli = body.cli || "gemini";
+      if (!Object.hasOwn(CLI_REGISTRY, cli)) {
+        return json(res, 400, { error: `Unknown CLI: ${cli}` });
+      }
+      if (denyClis(res, ctx, client, [cli])) return;
+      const session = sessions.create({ owner: ctx.client, cli });
+      audit(ctx, { cli, status: "SESSION_START", session: session.id });
+      return json(res, 201, presentSession(session));
+    } catch (e) {
+      return json(res, 400, { error: e.message || "Invalid JSON" });
+    }
+  }
+
+  const sessionMatch = url?.match(/^\/sessions\/([\w-]+)(\/messages)?$/);
+  // Paired clients only see their own sessions
+  const visibleSession = (id) => {
+    const session = sessions.get(id);
+    return session && (isOwner || session.owner === ctx.client)
+      ? session
+      : null;
+  };
+
+  // A message is answered with the earlier turns as context; only answered
+  // messages are added to the history
+  if (sessionMatch?.[2] && req.method === "POST") {
+    const session = visibleSession(sessionMatch[1]);
+    if (!session) return json(res, 404, { error: "Session not found" });
+    if (busySessions.has(session.id)) {
+      return json(res, 409, { error: "Session is answering another message" });
+    }
+    busySessions.add(session.id);
+    try {
+      const body = await readBody(req);
+      const request = extractPrompt(body, res, key);
+      if (request === null) return;
+      const { prompt, template } = request;
+      const output = extractOutputFormat(body, res);
+      if (output === null) return;
+      const attachments = extractAttachments(body, res);
+      if (attachments === null) return;
+      const cli = body.cli || session.cli;
+      if (denyClis(res, ctx, client, [cli])) return;
+      if (limitClis(res, ctx, limiter, [cli])) return;
+      audit(ctx, {
+        cli,
+        status: "START",
+        session: session.id,
+        template: template?.id,
+        attachments: attachments.length || undefined,
+        bytesIn: Buffer.byteLength(prompt),
+      });
+      cancelOnDisconnect(res, ctx);
+      const [run] = startRuns([cli], prompt, requestId, {
+        noCache: wantsFresh(req),
+        ctx,
+        schema: output.schema,
+        history: buildTranscript(session.turns, config.sessions.historyChars),
+        templateVars: template?.vars,
+        attachments,
+      });
+      const result = await run.done;
+      if (neverStarted(run.jobId, result)) refundRun(res, limiter, cli);
+      audit(ctx, { cli, session: session.id, ...resultFields(result) });
+      // The history keeps the question as the CLI saw it, so text removed
+      // by a redact rule is not sent with later messages
+      const updated = result.success
+        ? sessions.append(session.id, [
+            {
+              role: "user",
+              text: screenPrompt(prompt, {
+                templateVars: template?.vars,
+                guard,
+              }),
+            },
+            { role: "assistant", cli, text: result.output },
+          ])
+        : null;
+      return json(res, result.success ? 200 : 502, {
+        ...present(result, key),
+        session: presentSession(updated || session),
+      });
+    } catch (e) {
+      return json(res, 400, { error: e.message || "Invalid JSON" });
+    } finally {
+      busySessions.delete(session.id);
+    }
+  }
+
+  if (sessionMatch && !sessionMatch[2] && req.method === "GET") {
+    const session = visibleSession(sessionMatch[1]);
+    if (!session) return json(res, 404, { error: "Session not found" });
+    res.setHeader("Cache-Control", "no-store");
+    return json(res, 200, {
+      ...presentSession(session),
+      history: encrypt(JSON.stringify(session.turns), key),
+    });
+  }
+
+  if (sessionMatch && !sessionMatch[2] && req.method === "DELETE") {
+    const session = visibleSession(sessionMatch[1]);
+    if (!session) return json(res, 404, { error: "Session not found" });
+    sessions.delete(session.id);
+    audit(ctx, { status: "SESSION_END", session: session.id });
+    return json(res, 200, { deleted: true });
+  }
+
+  // Token rotation — the previous token stays valid for the grace window
+  if (url === "/token/rotate" && req.method === "POST") {
+    if (!isOwner) {
+      return json(res, 403, { error: "Only the session token can rotate" });
+    }
+    const token = auth.rotate();
+    audit(ctx, { status: "TOKEN_ROTATE" });
+    return json(res, 200, {
+      token,
+      issuedAt: auth.getIssuedAt(),
+      expiresAt: auth.getExpiresAt(),
+      graceMs: config.token.graceMs,
+    });
+  }
+
+  // Pick up CLIs installed (or removed) since startup
+  if (url === "/clis/rescan" && req.method === "POST") {
+    const changes = rescanClis(ctx);
+    return json(res, 200, { clis: detectClis(), changes });
+  }
+
+  // Setup wizard — GET /diagnostics[?roundTrip=1]. A round-trip sends a real
+  // prompt to every installed CLI the caller may use, one rate-limit token each.
+  if (url === "/diagnostics" && req.method === "GET") {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const roundTrip = ["1", "true"].includes(params.get("roundTrip"));
+    const names = Object.keys(CLI_REGISTRY).filter((name) =>
+      clientAllows(client, name),
+    );
+    if (roundTrip) {
+      const installed = names.filter((name) => cliPaths.get(name));
+      const fields = { reason: "diagnostics" };
+      if (limitClis(res, ctx, limiter, installed, { prepaid: 0, fields })) {
+        return;
+      }
+      cancelOnDisconnect(res, ctx);
+    }
+    audit(ctx, { status: "DIAGNOSTICS", clis: names, roundTrip });
+    const clis = await diagnose(names, {
+      roundTrip,
+      requestId,
+      owner: ctx.client,
+    });
+    res.setHeader("Cache-Control", "no-store");
+    return json(res, 200, {
+      version: PKG_VERSION,
+      node: process.versions.node,
+      roundTrip,
+      clis: clis.map(redactDiagnosis),
+    });
+  }
+
+  // Usage history — GET /audit?since=&cli=&status=&limit=
+  if (url === "/audit" && req.method === "GET") {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const filter = { limit: 200 };
+    if (params.has("since")) {
+      const raw = params.get("since");
+      filter.since = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+      if (Number.isNaN(filter.since)) {
+        return json(res, 400, {
+          error: "since must be an ISO date or epoch milliseconds",
+        });
+      }
+    }
+    if (params.has("limit")) {
+      filter.limit = Number(params.get("limit"));
+      if (!Number.isInteger(filter.limit) || filter.limit < 1 || filter.limit > 1000) {
+        return json(res, 400, { error: "limit must be between 1 and 1000" });
+      }
+    }
+    if (params.has("cli")) filter.cli = params.get("cli");
+    if (params.has("status")) filter.status = params.get("status").toUpperCase();
+    // Paired clients only see their own requests
+    if (!isOwner) filter.client = ctx.client;
+    return json(res, 200, { entries: auditLog.query(filter) });
+  }
+
+  // Response cache — inspect and purge
+  if (url === "/cache" && req.method === "GET") {
+    return json(res, 200, {
+      enabled: Boolean(responseCache),
+      ttlMs: config.cache.ttlMs,
+      maxEntries: config.cache.maxEntries,
+      entries: responseCache ? responseCache.list() : [],
+    });
+  }
+
+  // The cache is shared by every caller, so only the owner may purge it
+  if (url === "/cache" && req.method === "DELETE") {
+    if (!isOwner) {
+      return json(res, 403, { error: "Only the session token can purge" });
+    }
+    const purged = responseCache ? responseCache.clear() : 0;
+    audit(ctx, { status: "CACHE_PURGE" });
+    return json(res, 200, { purged });
+  }
+
+  const cacheMatch = url?.match(/^\/cache\/([0-9a-f]{64})$/);
+  if (cacheMatch && req.method === "DELETE") {
+    if (!isOwner) {
+      return json(res, 403, { error: "Only the session token can purge" });
+    }
+    if (!responseCache?.delete(cacheMatch[1])) {
+      return json(res, 404, { error: "Cache entry not found" });
+    }
+    return json(res, 200, { purged: 1 });
+  }
+
+  // Cancel every CLI run started by a request (X-Request-Id)
+  const requestMatch = url?.match(/^\/requests\/([\w-]{1,64})$/);
+  if (requestMatch && req.method === "DELETE") {
+    const cancelled = cancelRequest(ctx.client, requestMatch[1]);
+    if (cancelled === 0) {
+      return json(res, 404, { error: "No active request with that ID" });
+    }
+    return json(res, 200, { requestId: requestMatch[1], cancelled });
+  }
+
   json(res, 404, { error: "Not found" });
 });
 
-server.listen(PORT, HOST, () => {
-  console.log(`\nAI Stocks Bridge v${PKG_VERSION} (Encrypted)`);
-  console.log(`Listening on http://${HOST}:${PORT}`);
-  console.log(
-    `Available CLIs: ${detectClis().join(", ") || "(none detected)"}`,
+// CLIs run in their own process groups, so Ctrl+C no longer reaches them —
+// take them down explicitly before exiting. Rate-limit buckets are saved
+// with a delay; write what is still pending.
+function shutdown() {
+  for (const child of liveChildren) killTree(child);
+  rateLimits.flush();
+  process.exit(0);
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+// --- One-shot commands that need the CLI runtime but not the HTTP server ---
+
+// `ai-stocks-bridge doctor [--quick]`
+async function runDoctor({ quick = false } = {}) {
+  const checks = checkSetup({
+    config,
+    tokenFile: auth.getTokenFile(),
+    dirs: [
+      path.dirname(auditLog.getFile()),
+      ...(responseCache ? [responseCache.getDir()] : []),
+      sessions.getDir(),
+      templates.getDir(),
+      SANDBOX_DIR,
+    ],
+    registry: CLI_REGISTRY,
+    paths: cliPaths.all(),
+  });
+  console.log(formatReport(checks));
+  let failed = checks.some((c) => c.status === "fail");
+
+  const names = Object.keys(CLI_REGISTRY);
+  if (!quick) console.log(`\nSending a test prompt to each installed CLI ...`);
+  for (const cli of await diagnose(names, { roundTrip: !quick })) {
+    console.log(`\n${cli.name}${cli.version ? ` (${cli.version})` : ""}`);
+    console.log(formatReport(cli.checks));
+    // A CLI that is not installed is only a warning; broken ones fail
+    if (cli.path && cli.status === "fail") failed = true;
+  }
+  return failed ? 1 : 0;
+}
+
+// `ai-stocks-bridge test-cli <name>` runs one prompt exactly as the server would
+async function runTestCli(name, prompt = ROUND_TRIP_PROMPT) {
+  const prep = prepareCli(name, prompt);
+  if (prep.error) {
+    console.error(prep.error);
+    return 1;
+  }
+  console.log(`Running ${name} (${prep.cliPath}) ...`);
+  const result = await runCli(prep);
+  if (!result.success) {
+    console.error(`Failed after ${result.elapsed ?? 0}s: ${result.error}`);
+    return 1;
+  }
+  console.log(result.output);
+  console.log(`\nOK in ${result.elapsed}s (exit code ${result.exitCode})`);
+  return 0;
+}
+
+if (cmd.command === "doctor") {
+  runDoctor({ quick: cmd.options.quick }).then((code) => process.exit(code));
+} else if (cmd.command === "test-cli") {
+  runTestCli(cmd.positionals[0], cmd.options.prompt).then((code) =>
+    process.exit(code),
   );
-  console.log(`Token: ${auth.getToken()}`);
-  console.log(`Token file: ${auth.getTokenFile()}`);
-  console.log(`Audit log: ${auditLogPath}\n`);
-});
+} else {
+  server.on("error", (e) => {
+    log.error(
+      e.code === "EADDRINUSE"
+        ? `Port ${PORT} is already in use (is the bridge already running?)`
+        : e.message,
+    );
+    process.exit(1);
+  });
+  if (cmd.options.rescanIntervalMs) {
+    setInterval(
+      () => rescanClis({ requestId: null }),
+      cmd.options.rescanIntervalMs,
+    ).unref();
+  }
+  server.listen(PORT, HOST, () => {
+    const url = `http://${HOST.includes(":") ? `[${HOST}]` : HOST}:${PORT}`;
+    log.info(`\nAI Stocks Bridge v${PKG_VERSION} (Encrypted)`);
+    log.info(`Listening on ${url}`);
+    log.info(`Available CLIs: ${detectClis().join(", ") || "(none detected)"}`);
+    log.info(
+      `Config: ${config.file}${config.loaded ? "" : " (not found, using defaults)"}`,
+    );
+    log.info(`Token: ${auth.getToken()}`);
+    log.info(`Token file: ${auth.getTokenFile()}`);
+    log.info(`Paired clients: ${clients.getFile()}`);
+    if (auth.getExpiresAt()) {
+      log.info(
+        `Token rotates at: ${new Date(auth.getExpiresAt()).toISOString()}`,
+      );
+    }
+    log.info(`Allowed origins: ${originPolicy.list().join(", ")}`);
+    log.info(`Audit log: ${auditLog.getFile()}`);
+    if (cmd.options.rescanIntervalMs) {
+      log.info(`CLI rescan every ${cmd.options.rescanIntervalMs}ms`);
+    }
+    log.debug(
+      `Concurrency: ${MAX_CONCURRENT_CLI}, rate limit: ${RATE_LIMIT.capacity}` +
+        ` per ${RATE_LIMIT.refillIntervalMs}ms refill`,
+    );
+    log.info("");
+  });
+}
@@ -0,0 +1,150 @@
+"use strict";
+const crypto = require("node:crypto");
+
+/**
+ * FIFO job queue with a global and a per-key concurrency limit (zero dependencies).
+ * A job whose key is at its limit is skipped, so one busy CLI never blocks
+ * jobs for the others. Finished jobs stay queryable for `retentionMs`.
+ * @param {object} opts
+ * @param {number} opts.maxConcurrent - Max jobs running at once (default 5)
+ * @param {number} opts.maxQueued - Max jobs waiting to run (default 50)
+ * @param {(key: string) => number} opts.limitFor - Per-key concurrency limit (default unlimited)
+ * @param {number} opts.retentionMs - How long finished jobs are kept (default 10 min)
+ */
+function createJobQueue({
+  maxConcurrent = 5,
+  maxQueued = 50,
+  limitFor = () => Infinity,
+  retentionMs = 10 * 60_000,
+} = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  const runningByKey = new Map();
+  let running = 0;
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    }
+  }
+
+  function snapshot(job) {
+    return {
+      id: job.id,
+      key: job.key,
+      owner: job.owner,
+      status: job.status,
+      position: job.status === "queued" ? waiting.indexOf(job) + 1 : 0,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+    };
+  }
+
+  function finish(job, status, result) {
+    if (job.finishedAt) return;
+    job.status = status;
+    job.result = result;
+    job.finishedAt = Date.now();
+    job.resolve(result);
+  }
+
+  function start(job) {
+    running++;
+    runningByKey.set(job.key, (runningByKey.get(job.key) || 0) + 1);
+    job.status = "running";
+    job.startedAt = Date.now();
+    let pending;
+    try {
+      pending = Promise.resolve(job.task(job.controller.signal));
+    } catch (e) {
+      pending = Promise.reject(e);
+    }
+    pending
+      .catch((e) => ({ success: false, error: e.message }))
+      .then((result) => {
+        // A cancelled job keeps its slot until the task actually settles
+        running--;
+        runningByKey.set(job.key, runningByKey.get(job.key) - 1);
+        finish(job, "done", result);
+        pump();
+      });
+  }
+
+  function pump() {
+    for (let i = 0; i < waiting.length && running < maxConcurrent; ) {
+      const job = waiting[i];
+      if ((runningByKey.get(job.key) || 0) < limitFor(job.key)) {
+        waiting.splice(i, 1);
+        start(job);
+      } else {
+        i++;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Queue a task. `task(signal)` must return a promise for the job result
+     * and should stop its work when `signal` aborts. `owner` is an opaque
+     * tag returned in snapshots (e.g. who may see the job).
+     * Throws when the queue is full.
+     */
+    submit(key, task, { owner = null } = {}) {
+      prune();
+      if (waiting.length >= maxQueued) {
+        throw new Error(`Job queue is full (max ${maxQueued} waiting)`);
+      }
+      const job = {
+        id: crypto.randomUUID(),
+        key,
+        owner,
+        task,
+        status: "queued",
+        controller: new AbortController(),
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+      };
+      job.done = new Promise((resolve) => {
+        job.resolve = resolve;
+      });
+      jobs.set(job.id, job);
+      waiting.push(job);
+      pump();
+      return snapshot(job);
+    },
+    get(id) {
+      prune();
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+    /** Resolves with the job result once it finishes or is cancelled. */
+    wait(id) {
+      const job = jobs.get(id);
+      return job ? job.done : Promise.resolve(null);
+    },
+    /** Returns false when the job is unknown or already finished. */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || job.finishedAt) return false;
+      const idx = waiting.indexOf(job);
+      if (idx !== -1) waiting.splice(idx, 1);
+      job.controller.abort();
+      finish(job, "cancelled", {
+        success: false,
+        error: "Cancelled",
+        cancelled: true,
+      });
+      return true;
+    },
+    stats() {
+      return { running, queued: waiting.length };
+    },
+  };
+}
+
+module.exports = { createJobQueue };
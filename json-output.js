@@ -0,0 +1,281 @@
+"use strict";
+
+// JSON Schema keywords the bridge understands; schemas using anything else
+// are rejected up front rather than silently half-validated
+const SUPPORTED_KEYWORDS = new Set([
+  "type",
+  "properties",
+  "required",
+  "additionalProperties",
+  "items",
+  "enum",
+  "minimum",
+  "maximum",
+  "minLength",
+  "maxLength",
+  "minItems",
+  "maxItems",
+  "title",
+  "description",
+]);
+const TYPES = [
+  "object",
+  "array",
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "null",
+];
+const BOUNDS = [
+  "minimum",
+  "maximum",
+  "minLength",
+  "maxLength",
+  "minItems",
+  "maxItems",
+];
+const MAX_SCHEMA_DEPTH = 8;
+const MAX_SCAN_STARTS = 100;
+
+/**
+ * Check that a caller-supplied schema only uses the supported subset of
+ * JSON Schema (type, properties, required, additionalProperties, items, enum,
+ * minimum/maximum, minLength/maxLength, minItems/maxItems).
+ * Throws on the first problem, naming where it is.
+ */
+function checkSchema(schema, at = "schema", depth = 0) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error(`${at} must be an object`);
+  }
+  if (depth > MAX_SCHEMA_DEPTH) {
+    throw new Error(`${at} is nested too deeply (max ${MAX_SCHEMA_DEPTH})`);
+  }
+  for (const keyword of Object.keys(schema)) {
+    if (!SUPPORTED_KEYWORDS.has(keyword)) {
+      throw new Error(`${at}: unsupported keyword "${keyword}"`);
+    }
+  }
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const bad = types.find((t) => !TYPES.includes(t));
+    if (bad !== undefined) throw new Error(`${at}.type: unknown type "${bad}"`);
+  }
+  if (schema.properties !== undefined) {
+    const props = schema.properties;
+    if (!props || typeof props !== "object" || Array.isArray(props)) {
+      throw new Error(`${at}.properties must be an object`);
+    }
+    for (const [name, sub] of Object.entries(schema.properties)) {
+      checkSchema(sub, `${at}.properties.${name}`, depth + 1);
+    }
+  }
+  if (schema.items !== undefined) {
+    checkSchema(schema.items, `${at}.items`, depth + 1);
+  }
+  const { required } = schema;
+  if (
+    required !== undefined &&
+    !(Array.isArray(required) && required.every((r) => typeof r === "string"))
+  ) {
+    throw new Error(`${at}.required must be an array of property names`);
+  }
+  if (
+    schema.additionalProperties !== undefined &&
+    typeof schema.additionalProperties !== "boolean"
+  ) {
+    throw new Error(`${at}.additionalProperties must be true or false`);
+  }
+  if (
+    schema.enum !== undefined &&
+    !(Array.isArray(schema.enum) && schema.enum.length > 0)
+  ) {
+    throw new Error(`${at}.enum must be a non-empty array`);
+  }
+  for (const keyword of BOUNDS) {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== "number") {
+      throw new Error(`${at}.${keyword} must be a number`);
+    }
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a schema accepted by checkSchema.
+ * Messages describe the schema, never the value, and paths only name
+ * properties the schema lists (plus array indices), so they are safe to
+ * return unencrypted. Properties the schema does not allow are reported on
+ * their object, without their names.
+ * @returns {{ path: string, keyword: string, message: string }[]} Empty when
+ *   valid
+ */
+function validateSchema(value, schema, at = "$") {
+  const errors = [];
+  const fail = (keyword, message) =>
+    errors.push({ path: at, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => hasType(value, t))) {
+      fail("type", `must be ${types.join(" or ")}`);
+      return errors;
+    }
+  }
+  if (schema.enum !== undefined) {
+    const options = schema.enum.map((option) => JSON.stringify(option));
+    if (!options.includes(JSON.stringify(value))) {
+      fail("enum", `must be one of ${options.join(", ")}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail("minimum", `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail("maximum", `must be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("minLength", `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("maxLength", `must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${at}[${i}]`));
+      });
+    }
+  }
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) {
+        errors.push({
+          path: `${at}.${name}`,
+          keyword: "required",
+          message: "is required",
+        });
+      }
+    }
+    let extra = 0;
+    for (const [name, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        errors.push(...validateSchema(item, properties[name], `${at}.${name}`));
+      } else {
+        extra++;
+      }
+    }
+    if (extra > 0 && schema.additionalProperties === false) {
+      const noun = extra === 1 ? "property" : "properties";
+      errors.push({
+        path: at,
+        keyword: "additionalProperties",
+        message: `has ${extra} ${noun} not in the schema`,
+      });
+    }
+  }
+  return errors;
+}
+
+// Index just past the bracket matching text[start], or -1
+function balancedEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      depth++;
+    } else if (ch === "}" || ch === "]") {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Pull a JSON value out of CLI output. Accepts bare JSON, a ```json fenced
+ * block, or the first parsable object/array embedded in surrounding prose.
+ * @returns {{ value: any } | { error: string }}
+ */
+function extractJson(text) {
+  const trimmed = String(text || "").trim();
+  const fenced = /```(?:json)?[ \t]*\n([\s\S]*?)```/i.exec(trimmed);
+  for (const candidate of fenced ? [fenced[1], trimmed] : [trimmed]) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch {
+      // Not bare JSON — scan below
+    }
+  }
+  let starts = 0;
+  for (let i = 0; i < trimmed.length && starts < MAX_SCAN_STARTS; i++) {
+    if (trimmed[i] !== "{" && trimmed[i] !== "[") continue;
+    starts++;
+    const end = balancedEnd(trimmed, i);
+    if (end === -1) continue;
+    try {
+      return { value: JSON.parse(trimmed.slice(i, end)) };
+    } catch {
+      // Keep looking
+    }
+  }
+  return { error: "No JSON found in the output" };
+}
+
+/**
+ * Extract and validate structured output.
+ * `data` is undefined when no JSON could be parsed (a "parse" error).
+ * @returns {{ data: any, validation: { valid: boolean, errors: object[] } }}
+ */
+function parseStructured(text, schema) {
+  const extracted = extractJson(text);
+  if (extracted.error) {
+    return {
+      data: undefined,
+      validation: {
+        valid: false,
+        errors: [{ path: "$", keyword: "parse", message: extracted.error }],
+      },
+    };
+  }
+  const errors = validateSchema(extracted.value, schema);
+  return {
+    data: extracted.value,
+    validation: { valid: errors.length === 0, errors },
+  };
+}
+
+module.exports = { checkSchema, validateSchema, extractJson, parseStructured };
@@ -0,0 +1,28 @@
+"use strict";
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/**
+ * Leveled console logger (zero dependencies).
+ * `error` and `warn` go to stderr, `info` and `debug` to stdout; messages
+ * above `level` are dropped.
+ * @param {object} opts
+ * @param {string} opts.level - error, warn, info (default) or debug
+ * @param {{ log: Function, error: Function }} opts.output - Defaults to console
+ */
+function createLogger({ level = "info", output = console } = {}) {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}"`);
+  const max = LEVELS[level];
+  const at = (name, write) =>
+    LEVELS[name] <= max ? (...args) => write(...args) : () => {};
+
+  return {
+    level,
+    error: at("error", output.error),
+    warn: at("warn", output.error),
+    info: at("info", output.log),
+    debug: at("debug", output.log),
+  };
+}
+
+module.exports = { createLogger };
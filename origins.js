@@ -0,0 +1,84 @@
+"use strict";
+
+const ORIGIN_PATTERN =
+  /^(https?):\/\/([a-z0-9](?:[a-z0-9.-]*[a-z0-9])?|\[[0-9a-f:.]+\])(?::(\d{1,5}|\*))?\/?$/i;
+const LOOPBACK_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+const DEFAULT_PORTS = { http: "80", https: "443" };
+
+/**
+ * Parse an allowed-origin pattern: an exact origin (`https://example.com`,
+ * `http://localhost:5173`) or a loopback origin with any port
+ * (`http://localhost:*`). A default port is dropped, as browsers do.
+ * Throws on anything else.
+ * @returns {{ scheme: string, host: string, port: string|null }} port is "*" for any
+ */
+function parseOriginPattern(pattern) {
+  const m = typeof pattern === "string" && pattern.trim().match(ORIGIN_PATTERN);
+  if (!m) {
+    throw new Error(
+      `Invalid origin "${pattern}" (expected scheme://host[:port], e.g. https://example.com)`,
+    );
+  }
+  const scheme = m[1].toLowerCase();
+  const host = m[2].toLowerCase();
+  let port = m[3] || null;
+  if (port === "*" && !LOOPBACK_HOSTS.has(host)) {
+    throw new Error(
+      `Invalid origin "${pattern}": wildcard ports are only allowed for localhost`,
+    );
+  }
+  if (port && port !== "*") {
+    if (Number(port) < 1 || Number(port) > 65535) {
+      throw new Error(`Invalid origin "${pattern}": port out of range`);
+    }
+    port = String(Number(port));
+    if (port === DEFAULT_PORTS[scheme]) port = null;
+  }
+  return { scheme, host, port };
+}
+
+const formatOrigin = ({ scheme, host, port }) =>
+  `${scheme}://${host}${port ? `:${port}` : ""}`;
+
+/**
+ * Allow-list of browser origins (zero dependencies).
+ * Throws on the first invalid pattern, naming it.
+ * @param {string[]} patterns - See parseOriginPattern
+ */
+function createOriginPolicy(patterns) {
+  const exact = new Set();
+  const anyPort = new Set(); // "scheme://host" of loopback wildcards
+
+  for (const pattern of patterns) {
+    const parsed = parseOriginPattern(pattern);
+    if (parsed.port === "*") {
+      anyPort.add(formatOrigin({ ...parsed, port: null }));
+    } else {
+      exact.add(formatOrigin(parsed));
+    }
+  }
+
+  return {
+    /** Whether an `Origin` header value is allowed. */
+    isAllowed(origin) {
+      if (typeof origin !== "string") return false;
+      if (exact.has(origin)) return true;
+      if (anyPort.size === 0) return false;
+      let parsed;
+      try {
+        parsed = parseOriginPattern(origin);
+      } catch {
+        return false;
+      }
+      return (
+        parsed.port !== "*" && anyPort.has(formatOrigin({ ...parsed, port: null }))
+      );
+    },
+    /** Normalized patterns, wildcards as `scheme://host:*`. */
+    list() {
+      return [...exact, ...[...anyPort].map((o) => `${o}:*`)];
+    },
+  };
+}
+
+module.exports = { createOriginPolicy, parseOriginPattern };
@@ -0,0 +1,71 @@
+"use strict";
+const crypto = require("node:crypto");
+
+/**
+ * Pairing handshake (zero dependencies).
+ * A web app asks to pair, the bridge shows a short code in its terminal and
+ * the user types that code into the web app. Only a matching code from the
+ * same origin, before expiry and within the attempt limit, confirms.
+ * @param {object} opts
+ * @param {number} opts.ttlMs - How long a code is valid (default 2 min)
+ * @param {number} opts.maxAttempts - Wrong codes allowed per pairing (default 5)
+ */
+function createPairing({ ttlMs = 2 * 60_000, maxAttempts = 5 } = {}) {
+  const pending = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, p] of pending) {
+      if (p.expiresAt <= now) pending.delete(id);
+    }
+  }
+
+  return {
+    /**
+     * Start a pairing for `origin`, replacing any earlier one from it.
+     * @returns {{ id: string, code: string, expiresAt: number }}
+     */
+    start(origin) {
+      prune();
+      for (const [id, p] of pending) {
+        if (p.origin === origin) pending.delete(id);
+      }
+      const pairing = {
+        id: crypto.randomUUID(),
+        code: String(crypto.randomInt(0, 1_000_000)).padStart(6, "0"),
+        origin,
+        expiresAt: Date.now() + ttlMs,
+        attempts: 0,
+      };
+      pending.set(pairing.id, pairing);
+      return { id: pairing.id, code: pairing.code, expiresAt: pairing.expiresAt };
+    },
+    /**
+     * Check a code. A successful confirmation consumes the pairing.
+     * @returns {{ ok: true } | { ok: false, error: string }}
+     */
+    confirm(id, code, origin) {
+      prune();
+      const pairing = pending.get(id);
+      if (!pairing || pairing.origin !== origin) {
+        return { ok: false, error: "Unknown or expired pairing" };
+      }
+      // Compare bytes, not characters: "12345é" has six of one, seven of
+      // the other
+      const given = Buffer.from(String(code ?? "").replace(/\s/g, ""));
+      const expected = Buffer.from(pairing.code);
+      const matches =
+        given.length === expected.length &&
+        crypto.timingSafeEqual(given, expected);
+      if (!matches) {
+        pairing.attempts++;
+        if (pairing.attempts >= maxAttempts) pending.delete(id);
+        return { ok: false, error: "Wrong pairing code" };
+      }
+      pending.delete(id);
+      return { ok: true };
+    },
+  };
+}
+
+module.exports = { createPairing };
@@ -0,0 +1,40 @@
+"use strict";
+const { execFile } = require("node:child_process");
+
+const isWindows = process.platform === "win32";
+
+/**
+ * Spawn options that make a child killable together with its descendants.
+ * On Unix the child leads a new process group; Windows uses taskkill /T.
+ */
+const TREE_SPAWN_OPTIONS = isWindows ? {} : { detached: true };
+
+/**
+ * Terminate a child process and everything it spawned.
+ * Sends SIGTERM to the process group, then SIGKILL after `graceMs` for
+ * anything still alive. The child must have been spawned with
+ * TREE_SPAWN_OPTIONS.
+ * @param {import("node:child_process").ChildProcess} child
+ * @param {object} opts
+ * @param {number} opts.graceMs - Delay before SIGKILL (default 2000)
+ */
+function killTree(child, { graceMs = 2000 } = {}) {
+  if (!child?.pid) return;
+
+  if (isWindows) {
+    execFile("taskkill", ["/pid", String(child.pid), "/T", "/F"], () => {});
+    return;
+  }
+
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      // Group already gone
+    }
+  };
+  signalGroup("SIGTERM");
+  setTimeout(() => signalGroup("SIGKILL"), graceMs).unref();
+}
+
+module.exports = { killTree, TREE_SPAWN_OPTIONS };
@@ -1,14 +1,27 @@
 "use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
 
 /**
  * Token Bucket Rate Limiter (zero dependencies).
  * @param {object} opts
  * @param {number} opts.capacity - Max tokens in bucket (default 15)
  * @param {number} opts.refillIntervalMs - Ms between token refills (default 6000 = 1 token per 6s)
+ * @param {{ tokens: number, lastRefill: number }} opts.state - Saved state to
+ *   continue from (see snapshot); the bucket starts full without it
  */
-function createRateLimiter({ capacity = 15, refillIntervalMs = 6000 } = {}) {
+function createRateLimiter({
+  capacity = 15,
+  refillIntervalMs = 6000,
+  state = null,
+} = {}) {
   let tokens = capacity;
   let lastRefill = Date.now();
+  if (Number.isFinite(state?.tokens) && Number.isFinite(state?.lastRefill)) {
+    tokens = Math.min(capacity, Math.max(0, Math.floor(state.tokens)));
+    lastRefill = Math.min(lastRefill, state.lastRefill);
+  }
 
   function refill() {
     const now = Date.now();
@@ -20,20 +33,155 @@ function createRateLimiter({ capacity = 15, refillIntervalMs = 6000 } = {}) {
     }
   }
 
+  // Ms until the bucket holds `n` tokens (Infinity if it never can)
+  function msUntil(n) {
+    refill();
+    if (tokens >= n) return 0;
+    if (n > capacity) return Infinity;
+    const nextToken = lastRefill + refillIntervalMs - Date.now();
+    return (n - tokens - 1) * refillIntervalMs + Math.max(0, nextToken);
+  }
+
   return {
-    tryConsume() {
+    capacity,
+    // Take `n` tokens at once, or none if fewer are left
+    tryConsume(n = 1) {
       refill();
-      if (tokens > 0) {
-        tokens--;
+      if (tokens >= n) {
+        tokens -= n;
         return true;
       }
       return false;
     },
+    // Give back tokens for work that never ran (e.g. served from cache)
+    refund(n = 1) {
+      refill();
+      tokens = Math.min(capacity, tokens + n);
+    },
     remaining() {
       refill();
       return tokens;
     },
+    // Ms until `n` tokens are available: 0 if they are now, Infinity if `n`
+    // is more than the bucket holds
+    retryAfterMs(n = 1) {
+      return msUntil(n);
+    },
+    // Ms until the bucket is full again
+    resetMs() {
+      return msUntil(capacity);
+    },
+    snapshot() {
+      refill();
+      return { tokens, lastRefill };
+    },
+  };
+}
+
+/**
+ * Rate-limit buckets by key, e.g. "owner", "client:<id>" or "cli:<name>".
+ * Bucket state lives in ratelimits.json (mode 0600) and is written at most
+ * once per `saveDelayMs` after tokens are taken or given back (call flush()
+ * before exiting), so a restart carries on with the same quotas instead of
+ * handing out full buckets. Full buckets are left out of the file. A failed
+ * write is reported through `onWarning`; the buckets keep working.
+ * @param {object} opts
+ * @param {string} opts.dir - Directory for ratelimits.json (default ~/.ai-stocks)
+ * @param {{ capacity, refillIntervalMs }} opts.defaults - Bucket size for
+ *   keys created without their own
+ * @param {number} opts.saveDelayMs - Default 1000
+ * @param {(message: string) => void} opts.onWarning
+ */
+function createRateLimitStore({
+  dir,
+  defaults = {},
+  saveDelayMs = 1000,
+  onWarning = () => {},
+} = {}) {
+  const stateDir = dir || path.join(os.homedir(), ".ai-stocks");
+  const stateFile = path.join(stateDir, "ratelimits.json");
+  fs.mkdirSync(stateDir, { recursive: true });
+
+  // key → { tokens, lastRefill } of buckets not used since startup
+  let saved = {};
+  try {
+    const data = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
+    if (data && typeof data.buckets === "object") saved = data.buckets;
+  } catch {
+    // Missing or unreadable — every bucket starts full
+  }
+  const buckets = new Map();
+  let saveTimer = null;
+
+  // Written to a temporary file first, so a crash mid-write cannot leave
+  // half a file behind
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const data = { ...saved };
+    for (const [key, bucket] of buckets) {
+      const snapshot = bucket.snapshot();
+      if (snapshot.tokens < bucket.capacity) data[key] = snapshot;
+    }
+    const tmp = `${stateFile}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(
+        tmp,
+        JSON.stringify({ buckets: data }, null, 2) + "\n",
+        { mode: 0o600 },
+      );
+      fs.renameSync(tmp, stateFile);
+    } catch (e) {
+      fs.rmSync(tmp, { force: true });
+      onWarning(`Could not save ${stateFile}: ${e.message}`);
+    }
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, saveDelayMs);
+    saveTimer.unref();
+  }
+
+  return {
+    /**
+     * The bucket for `key`, created on first use from its saved state.
+     * `options` only apply when the bucket is created.
+     * @param {string} key
+     * @param {{ capacity, refillIntervalMs }} options - Defaults if omitted
+     */
+    get(key, options) {
+      let bucket = buckets.get(key);
+      if (bucket) return bucket;
+      const inner = createRateLimiter({
+        ...defaults,
+        ...options,
+        state: saved[key],
+      });
+      delete saved[key];
+      bucket = {
+        ...inner,
+        tryConsume(n = 1) {
+          const ok = inner.tryConsume(n);
+          if (ok && n > 0) scheduleSave();
+          return ok;
+        },
+        refund(n = 1) {
+          inner.refund(n);
+          if (n > 0) scheduleSave();
+        },
+      };
+      buckets.set(key, bucket);
+      return bucket;
+    },
+    /** Write pending changes now */
+    flush() {
+      if (saveTimer) save();
+    },
+    getFile() {
+      return stateFile;
+    },
   };
 }
 
-module.exports = { createRateLimiter };
+module.exports = { createRateLimiter, createRateLimitStore };
@@ -0,0 +1,209 @@
+"use strict";
+const os = require("node:os");
+
+const TYPE_NAME = /^[A-Z][A-Z0-9_]{0,39}$/;
+const RULE_FIELDS = new Set(["type", "pattern", "flags"]);
+const ALLOWED_FLAGS = /^[imsu]*$/;
+const MAX_PATTERN_LENGTH = 500;
+
+const DEFAULT_ENTROPY = { enabled: true, minLength: 24, threshold: 4 };
+
+// Letter codes of Taiwanese national ID and resident certificate numbers
+const TW_ID_LETTERS = "ABCDEFGHJKLMNPQRSTUVXYWZIO";
+
+// Checksum of a Taiwanese ID such as A123456789; the letter counts as its
+// two-digit code (A = 10 ... O = 35)
+function isTaiwanId(id) {
+  const code = TW_ID_LETTERS.indexOf(id[0]) + 10;
+  const digits = [Math.floor(code / 10), code % 10, ...id.slice(1)].map(
+    Number,
+  );
+  const weights = [1, 9, 8, 7, 6, 5, 4, 3, 2, 1, 1];
+  const sum = digits.reduce((total, d, i) => total + d * weights[i], 0);
+  return sum % 10 === 0;
+}
+
+// Built-in rules, applied in this order before the configured ones. `valid`
+// rejects look-alikes a pattern alone would catch.
+const BUILTIN_REDACTIONS = [
+  { type: "API_KEY", pattern: /sk-[a-zA-Z0-9]{20,}/g },
+  { type: "TOKEN", pattern: /ghp_[a-zA-Z0-9]{36}/g },
+  { type: "TOKEN", pattern: /sbp_[a-zA-Z0-9]{40}/g },
+  { type: "PEM_KEY", pattern: /-----BEGIN [\w\s]*(?:PRIVATE )?KEY-----/g },
+  { type: "AWS_KEY", pattern: /AKIA[0-9A-Z]{16}/g },
+  { type: "STRIPE_KEY", pattern: /sk_live_[0-9a-zA-Z]{24}/g },
+  { type: "SLACK_TOKEN", pattern: /xox[baprs]-[0-9a-zA-Z]{10,48}/g },
+  {
+    type: "CREDENTIAL",
+    pattern:
+      /(?:password|passwd|secret|private_key|access_token|DB_PASSWORD|DATABASE_URL|POSTGRES_PASSWORD)\s*[:=]\s*\S+/gi,
+  },
+  { type: "GOOGLE_KEY", pattern: /AIza[0-9A-Za-z\-_]{30,}/g },
+  { type: "GOOGLE_OAUTH", pattern: /ya29\.[0-9A-Za-z\-_]+/g },
+  // National ID (second digit 1/2) and resident certificate (8/9)
+  {
+    type: "TW_NATIONAL_ID",
+    pattern: /\b[A-Z][1289]\d{8}\b/g,
+    valid: isTaiwanId,
+  },
+];
+
+/**
+ * Compile one configured rule: `{ type, pattern, flags? }`. Matches are
+ * replaced with `[REDACTED:<type>]`.
+ * @throws {Error} naming the first problem
+ */
+function compileRedaction(entry) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error("must be an object");
+  }
+  const unknown = Object.keys(entry).find((key) => !RULE_FIELDS.has(key));
+  if (unknown) throw new Error(`${unknown}: unknown field`);
+  const { type, pattern, flags = "" } = entry;
+  if (typeof type !== "string" || !TYPE_NAME.test(type)) {
+    throw new Error('type: must look like "ACCOUNT_NUMBER"');
+  }
+  if (typeof pattern !== "string" || pattern.length === 0) {
+    throw new Error("pattern: must be a non-empty string");
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern: longer than ${MAX_PATTERN_LENGTH} chars`);
+  }
+  if (typeof flags !== "string" || !ALLOWED_FLAGS.test(flags)) {
+    throw new Error("flags: only i, m, s and u are allowed");
+  }
+  try {
+    return { type, pattern: new RegExp(pattern, flags + "g") };
+  } catch (e) {
+    throw new Error(`pattern: ${e.message}`);
+  }
+}
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Share of a token made of word-like runs ("Revenue", "annual")
+const wordShare = (token) =>
+  (token.match(/[A-Z]?[a-z]{4,}/g) || []).join("").length / token.length;
+
+// Whether a run of token characters looks like a random secret: a long hex
+// string, or mixed-case letters with digits above the entropy threshold that
+// do not read as joined-up words (file names, identifiers such as
+// "NVDA2024AnnualReport")
+function looksRandom(token, threshold) {
+  if (/^[0-9a-f]+$/i.test(token)) {
+    return token.length >= 32 && /\d/.test(token) && entropy(token) >= 3;
+  }
+  return (
+    /[a-z]/.test(token) &&
+    /[A-Z]/.test(token) &&
+    /\d/.test(token) &&
+    entropy(token) >= threshold &&
+    wordShare(token) < 0.4
+  );
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Output filtering pipeline (zero dependencies). Redacts the built-in secret
+ * formats, the configured `rules`, unknown tokens that look random (entropy
+ * check) and finally the home directory, which becomes `[HOME]`.
+ * @param {object} opts
+ * @param {{ type, pattern, flags? }[]} opts.rules - Extra rules (see
+ *   compileRedaction), applied after the built-in ones
+ * @param {string[]} opts.disable - Types to skip, e.g. ["TW_NATIONAL_ID"];
+ *   "HIGH_ENTROPY" and "HOME" turn off those checks
+ * @param {{ enabled: boolean, minLength: number, threshold: number }}
+ *   opts.entropy - Tokens of at least `minLength` characters above
+ *   `threshold` bits per character count as secrets
+ * @param {string} opts.home - Home directory (default os.homedir() at each
+ *   call)
+ */
+function createRedactor({
+  rules = [],
+  disable = [],
+  entropy: entropyOptions = DEFAULT_ENTROPY,
+  home,
+} = {}) {
+  const skipped = new Set(disable);
+  const active = [...BUILTIN_REDACTIONS, ...rules.map(compileRedaction)]
+    .filter(({ type }) => !skipped.has(type))
+    .map((rule) => ({ replacement: `[REDACTED:${rule.type}]`, ...rule }));
+  const { enabled, minLength, threshold } = {
+    ...DEFAULT_ENTROPY,
+    ...entropyOptions,
+  };
+  if (enabled && !skipped.has("HIGH_ENTROPY")) {
+    active.push({
+      type: "HIGH_ENTROPY",
+      pattern: new RegExp(`[A-Za-z0-9+/=_-]{${minLength},}`, "g"),
+      replacement: "[REDACTED:HIGH_ENTROPY]",
+      valid: (token) => looksRandom(token, threshold),
+    });
+  }
+
+  // Native path, plus the forward-slash variant some tools print on Windows
+  function homeRule() {
+    const dir = home ?? os.homedir();
+    if (!dir || skipped.has("HOME")) return [];
+    const variants = [...new Set([dir, dir.replace(/\\/g, "/")])];
+    return [
+      {
+        type: "HOME",
+        pattern: new RegExp(variants.map(escapeRegExp).join("|"), "g"),
+        replacement: "[HOME]",
+      },
+    ];
+  }
+
+  return {
+    /**
+     * Apply every rule in order.
+     * @returns {{ text: string, redactions: { type, count }[] }} the
+     *   redacted text and how often each type was replaced
+     */
+    redact(text) {
+      const counts = new Map();
+      let result = text;
+      for (const { type, pattern, replacement, valid } of [
+        ...active,
+        ...homeRule(),
+      ]) {
+        result = result.replace(pattern, (match) => {
+          if (valid && !valid(match)) return match;
+          counts.set(type, (counts.get(type) || 0) + 1);
+          return replacement;
+        });
+      }
+      const redactions = [...counts].map(([type, count]) => ({ type, count }));
+      return { text: result, redactions };
+    },
+  };
+}
+
+/** Add up redaction reports, keeping the order types first appear in. */
+function mergeRedactions(...reports) {
+  const counts = new Map();
+  for (const { type, count } of reports.flat()) {
+    counts.set(type, (counts.get(type) || 0) + count);
+  }
+  return [...counts].map(([type, count]) => ({ type, count }));
+}
+
+module.exports = {
+  createRedactor,
+  compileRedaction,
+  mergeRedactions,
+  BUILTIN_REDACTIONS,
+  DEFAULT_ENTROPY,
+};
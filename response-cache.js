@@ -0,0 +1,172 @@
+"use strict";
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const { deriveKey, encrypt, decrypt } = require("./crypto");
+
+const ENTRY_ID = /^[0-9a-f]{64}$/;
+
+/**
+ * Cache key for a CLI run: SHA-256 over CLI name, CLI args and the wrapped
+ * (normalized) prompt, so any change to how the CLI is invoked misses.
+ */
+function cacheKey(cli, args, wrappedPrompt) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([cli, args, wrappedPrompt]))
+    .digest("hex");
+}
+
+/**
+ * On-disk response cache, encrypted at rest (zero dependencies).
+ * Each entry is one JSON file; the CLI output inside is AES-256-GCM encrypted
+ * with a key derived from a random secret kept next to the entries.
+ * @param {object} opts
+ * @param {string} opts.dir - Cache directory (default ~/.ai-stocks/cache)
+ * @param {number} opts.ttlMs - Entry lifetime (default 1h)
+ * @param {number} opts.maxEntries - Oldest entries are evicted beyond this (default 500)
+ */
+function createResponseCache({
+  dir,
+  ttlMs = 60 * 60_000,
+  maxEntries = 500,
+} = {}) {
+  const cacheDir = dir || path.join(os.homedir(), ".ai-stocks", "cache");
+  const secretFile = path.join(cacheDir, "cache.key");
+
+  fs.mkdirSync(cacheDir, { recursive: true, mode: 0o700 });
+
+  let secret;
+  try {
+    secret = fs.readFileSync(secretFile, "utf-8").trim();
+  } catch {
+    // First run — generated below
+  }
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    fs.writeFileSync(secretFile, secret + "\n", { mode: 0o600 });
+  }
+  const key = deriveKey(secret);
+
+  const fileFor = (id) => path.join(cacheDir, id + ".json");
+
+  // id → createdAt of the entries on disk, oldest first. Built on the first
+  // write and refreshed by list(), so set() never reads the whole directory.
+  let index = null;
+
+  function readEntry(id) {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(id), "utf-8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function remove(id) {
+    index?.delete(id);
+    try {
+      fs.unlinkSync(fileFor(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function ids() {
+    return fs
+      .readdirSync(cacheDir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => f.slice(0, -5))
+      .filter((id) => ENTRY_ID.test(id));
+  }
+
+  // Entry metadata without the encrypted payload; drops expired entries
+  function list() {
+    const now = Date.now();
+    const entries = [];
+    for (const id of ids()) {
+      const entry = readEntry(id);
+      if (!entry || entry.expiresAt <= now) {
+        remove(id);
+        continue;
+      }
+      entries.push({
+        id,
+        cli: entry.cli,
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt,
+        bytes: entry.bytes,
+      });
+    }
+    entries.sort((a, b) => a.createdAt - b.createdAt);
+    index = new Map(entries.map((e) => [e.id, e.createdAt]));
+    return entries;
+  }
+
+  return {
+    /** Returns { cli, output, createdAt, expiresAt } or null on miss. */
+    get(id) {
+      if (!ENTRY_ID.test(id)) return null;
+      const entry = readEntry(id);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(id);
+        return null;
+      }
+      let output;
+      try {
+        output = decrypt(entry.data, key);
+      } catch {
+        // Written with another secret or tampered with
+        remove(id);
+        return null;
+      }
+      return {
+        cli: entry.cli,
+        output,
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt,
+      };
+    },
+    set(id, { cli, output }) {
+      if (!ENTRY_ID.test(id)) return;
+      const now = Date.now();
+      const entry = {
+        cli,
+        createdAt: now,
+        expiresAt: now + ttlMs,
+        bytes: Buffer.byteLength(output),
+        data: encrypt(output, key),
+      };
+      fs.writeFileSync(fileFor(id), JSON.stringify(entry), { mode: 0o600 });
+
+      // Evict oldest first, never the entry just written
+      if (!index) list();
+      index.delete(id);
+      index.set(id, now);
+      for (const old of index.keys()) {
+        if (index.size <= maxEntries) break;
+        remove(old);
+      }
+    },
+    list,
+    delete(id) {
+      return ENTRY_ID.test(id) && remove(id);
+    },
+    /** Removes every entry; returns how many were removed. */
+    clear() {
+      let count = 0;
+      for (const id of ids()) {
+        if (remove(id)) count++;
+      }
+      index = new Map();
+      return count;
+    },
+    getDir() {
+      return cacheDir;
+    },
+  };
+}
+
+module.exports = { createResponseCache, cacheKey };
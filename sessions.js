@@ -0,0 +1,217 @@
+"use strict";
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const { deriveKey, encrypt, decrypt } = require("./crypto");
+
+const SESSION_ID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Conversation sessions on disk, encrypted at rest (zero dependencies).
+ * Each session is one JSON file; its turns are AES-256-GCM encrypted with a
+ * key derived from a random secret kept next to the sessions. A session
+ * expires `idleTtlMs` after its last message and keeps its newest `maxTurns`
+ * turns.
+ * @param {object} opts
+ * @param {string} opts.dir - Session directory (default ~/.ai-stocks/sessions)
+ * @param {number} opts.idleTtlMs - Inactivity before expiry (default 30 min)
+ * @param {number} opts.maxTurns - Turns kept per session (default 20)
+ * @param {number} opts.maxSessions - Least recently used sessions are dropped
+ *   beyond this (default 100)
+ */
+function createSessionStore({
+  dir,
+  idleTtlMs = 30 * 60_000,
+  maxTurns = 20,
+  maxSessions = 100,
+} = {}) {
+  const sessionDir = dir || path.join(os.homedir(), ".ai-stocks", "sessions");
+  const secretFile = path.join(sessionDir, "sessions.key");
+
+  fs.mkdirSync(sessionDir, { recursive: true, mode: 0o700 });
+
+  let secret;
+  try {
+    secret = fs.readFileSync(secretFile, "utf-8").trim();
+  } catch {
+    // First run — generated below
+  }
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    fs.writeFileSync(secretFile, secret + "\n", { mode: 0o600 });
+  }
+  const key = deriveKey(secret);
+
+  const fileFor = (id) => path.join(sessionDir, id + ".json");
+
+  function readEntry(id) {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(id), "utf-8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function writeEntry(entry) {
+    fs.writeFileSync(fileFor(entry.id), JSON.stringify(entry), { mode: 0o600 });
+  }
+
+  function remove(id) {
+    try {
+      fs.unlinkSync(fileFor(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  const expiresAt = (entry) => entry.updatedAt + idleTtlMs;
+
+  function meta(entry) {
+    return {
+      id: entry.id,
+      owner: entry.owner,
+      cli: entry.cli,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      expiresAt: expiresAt(entry),
+      turnCount: entry.turnCount,
+      droppedTurns: entry.droppedTurns,
+    };
+  }
+
+  // Session metadata without the encrypted turns; drops expired sessions
+  function list() {
+    const now = Date.now();
+    const sessions = [];
+    for (const file of fs.readdirSync(sessionDir)) {
+      const id = file.slice(0, -5);
+      if (!file.endsWith(".json") || !SESSION_ID.test(id)) continue;
+      const entry = readEntry(id);
+      if (!entry || expiresAt(entry) <= now) {
+        remove(id);
+        continue;
+      }
+      sessions.push(meta(entry));
+    }
+    return sessions.sort((a, b) => a.updatedAt - b.updatedAt);
+  }
+
+  // Live entry with decrypted turns, or null
+  function load(id) {
+    if (!SESSION_ID.test(id)) return null;
+    const entry = readEntry(id);
+    if (!entry) return null;
+    if (expiresAt(entry) <= Date.now()) {
+      remove(id);
+      return null;
+    }
+    try {
+      return { entry, turns: JSON.parse(decrypt(entry.turns, key)) };
+    } catch {
+      // Written with another secret or tampered with
+      remove(id);
+      return null;
+    }
+  }
+
+  return {
+    /**
+     * Start an empty session for `owner` ("owner" or a client ID) with a
+     * default CLI. Evicts the least recently used sessions beyond maxSessions.
+     */
+    create({ owner, cli }) {
+      const now = Date.now();
+      const entry = {
+        id: crypto.randomUUID(),
+        owner,
+        cli,
+        createdAt: now,
+        updatedAt: now,
+        turnCount: 0,
+        droppedTurns: 0,
+        turns: encrypt("[]", key),
+      };
+      writeEntry(entry);
+
+      const others = list().filter((s) => s.id !== entry.id);
+      for (let i = 0; i < others.length - (maxSessions - 1); i++) {
+        remove(others[i].id);
+      }
+      return meta(entry);
+    },
+    /** Session metadata plus `turns` ({ role, text, cli?, at }), or null. */
+    get(id) {
+      const loaded = load(id);
+      return loaded ? { ...meta(loaded.entry), turns: loaded.turns } : null;
+    },
+    /**
+     * Add turns and refresh the idle timer; only the newest maxTurns are
+     * kept. Returns the updated metadata, or null if the session is gone.
+     */
+    append(id, newTurns) {
+      const loaded = load(id);
+      if (!loaded) return null;
+      const now = Date.now();
+      const turns = [
+        ...loaded.turns,
+        ...newTurns.map((turn) => ({ ...turn, at: now })),
+      ];
+      const dropped = Math.max(0, turns.length - maxTurns);
+      const entry = {
+        ...loaded.entry,
+        updatedAt: now,
+        turnCount: turns.length - dropped,
+        droppedTurns: loaded.entry.droppedTurns + dropped,
+        turns: encrypt(JSON.stringify(turns.slice(dropped)), key),
+      };
+      writeEntry(entry);
+      return meta(entry);
+    },
+    list,
+    delete(id) {
+      return SESSION_ID.test(id) && remove(id);
+    },
+    getDir() {
+      return sessionDir;
+    },
+  };
+}
+
+const ROLE_LABELS = { user: "User", assistant: "Assistant" };
+
+/**
+ * Earlier turns as a transcript of at most `budget` characters. Each turn is
+ * cut to a quarter of the budget, and the newest turns that fit are kept;
+ * a note says how many older ones were left out.
+ * @param {{ role: string, text: string, cli?: string }[]} turns - Oldest first
+ * @param {number} budget - Maximum transcript length
+ * @returns {string} Empty without turns
+ */
+function buildTranscript(turns, budget) {
+  const perTurn = Math.max(1, Math.floor(budget / 4));
+  const lines = [];
+  let used = 0;
+  let kept = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turn = turns[i];
+    const label = ROLE_LABELS[turn.role] + (turn.cli ? ` (${turn.cli})` : "");
+    const text =
+      turn.text.length > perTurn
+        ? turn.text.slice(0, perTurn - 1) + "…"
+        : turn.text;
+    const line = `${label}: ${text}`;
+    // Leave room for the omission note
+    if (used + line.length + 1 > budget - 40) break;
+    lines.unshift(line);
+    used += line.length + 1;
+    kept++;
+  }
+  const omitted = turns.length - kept;
+  if (omitted > 0) lines.unshift(`(${omitted} earlier messages omitted)`);
+  return lines.join("\n");
+}
+
+module.exports = { createSessionStore, buildTranscript };
@@ -0,0 +1,314 @@
+"use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const { validateSchema } = require("./json-output");
+
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+const TICKER = /^[A-Za-z0-9^][A-Za-z0-9.\-=]{0,14}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TEMPLATE_LENGTH = 12_000;
+const MAX_STRING_VAR_LENGTH = 1000;
+
+// Variable types a template may declare
+const VAR_TYPES = [
+  "ticker",
+  "tickers",
+  "string",
+  "integer",
+  "number",
+  "enum",
+  "date",
+];
+
+const ticker = {
+  type: "ticker",
+  required: true,
+  description: "e.g. AAPL, 2330.TW",
+};
+
+// Seeded into the templates directory on first run; edit the files there
+// (and bump `version`) to change them
+const BUILTIN_TEMPLATES = {
+  fundamental: {
+    version: 1,
+    description: "Fundamental analysis of one stock",
+    vars: {
+      ticker,
+      period: {
+        type: "enum",
+        values: ["annual", "quarterly"],
+        default: "annual",
+      },
+    },
+    text:
+      "Give a fundamental analysis of {{ticker}} based on its {{period}} " +
+      "financial statements. Cover revenue and earnings growth, margins, " +
+      "balance sheet strength, cash flow, and valuation (P/E, P/B, " +
+      "EV/EBITDA) against its history and its sector. Finish with the main " +
+      "risks, an overall rating (Recommendation: buy, hold or sell) and a " +
+      "price target.",
+  },
+  technical: {
+    version: 1,
+    description: "Technical analysis of one stock's price action",
+    vars: {
+      ticker,
+      period: {
+        type: "enum",
+        values: ["1w", "1m", "3m", "6m", "1y"],
+        default: "3m",
+      },
+    },
+    text:
+      "Give a technical analysis of {{ticker}} over the last {{period}}. " +
+      "Describe the trend, support and resistance levels, moving averages " +
+      "(20/60/120-day), RSI, MACD and volume. Finish with the key levels to " +
+      "watch and an overall rating (Recommendation: buy, hold or sell).",
+  },
+  "earnings-summary": {
+    version: 1,
+    description: "Summary of one earnings report",
+    vars: {
+      ticker,
+      period: {
+        type: "string",
+        maxLength: 20,
+        default: "the latest quarter",
+        description: "e.g. 2025Q3",
+      },
+    },
+    text:
+      "Summarize the earnings report of {{ticker}} for {{period}}. Compare " +
+      "revenue, EPS and margins with the previous quarter, the same quarter " +
+      "last year and analyst expectations. List the guidance and the main " +
+      "points from management commentary, then the likely impact on the stock.",
+  },
+  "compare-peers": {
+    version: 1,
+    description: "Compare one stock with its peers",
+    vars: {
+      ticker,
+      peers: { type: "tickers", required: true, maxItems: 5 },
+      period: {
+        type: "enum",
+        values: ["annual", "quarterly"],
+        default: "annual",
+      },
+    },
+    text:
+      "Compare {{ticker}} with its peers {{peers}} using {{period}} figures. " +
+      "Cover growth, profitability, balance sheet, valuation multiples and " +
+      "competitive position, in a table where possible. Finish with which of " +
+      "them looks most attractive and why.",
+  },
+};
+
+/**
+ * Check a template definition: `{ version, description?, vars, text }`.
+ * Throws on the first problem.
+ */
+function checkTemplate(template) {
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    throw new Error("template must be an object");
+  }
+  const { version, vars, text } = template;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error("version must be a positive integer");
+  }
+  if (typeof text !== "string" || text.length === 0) {
+    throw new Error("text must be a non-empty string");
+  }
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(`text is too long (max ${MAX_TEMPLATE_LENGTH} chars)`);
+  }
+  if (!vars || typeof vars !== "object" || Array.isArray(vars)) {
+    throw new Error("vars must be an object");
+  }
+  for (const [name, spec] of Object.entries(vars)) {
+    if (!spec || !VAR_TYPES.includes(spec.type)) {
+      throw new Error(
+        `vars.${name}.type must be one of ${VAR_TYPES.join(", ")}`,
+      );
+    }
+    const { values } = spec;
+    if (
+      spec.type === "enum" &&
+      !(Array.isArray(values) && values.length > 0)
+    ) {
+      throw new Error(`vars.${name}.values must be a non-empty array`);
+    }
+  }
+  for (const [, name] of text.matchAll(PLACEHOLDER)) {
+    if (!Object.hasOwn(vars, name)) {
+      throw new Error(`text uses undeclared variable "${name}"`);
+    }
+  }
+}
+
+// JSON Schema (json-output subset) for one declared variable
+function varSchema(spec) {
+  switch (spec.type) {
+    case "ticker":
+      return { type: "string", minLength: 1, maxLength: 15 };
+    case "tickers":
+      return {
+        type: "array",
+        minItems: spec.minItems ?? 1,
+        maxItems: spec.maxItems ?? 10,
+        items: { type: "string", minLength: 1, maxLength: 15 },
+      };
+    case "string":
+      return {
+        type: "string",
+        maxLength: Math.min(spec.maxLength ?? 200, MAX_STRING_VAR_LENGTH),
+      };
+    case "integer":
+    case "number":
+      return { type: spec.type, minimum: spec.minimum, maximum: spec.maximum };
+    case "enum":
+      return { enum: spec.values };
+    case "date":
+      return { type: "string" };
+  }
+}
+
+// Checks the schema subset cannot express
+function formatErrors(value, spec, at) {
+  const bad = (message) => [{ path: at, keyword: "format", message }];
+  if (spec.type === "ticker" && !TICKER.test(value)) {
+    return bad("must be a ticker symbol such as AAPL or 2330.TW");
+  }
+  if (spec.type === "tickers") {
+    return value.flatMap((item, i) =>
+      formatErrors(item, { type: "ticker" }, `${at}[${i}]`),
+    );
+  }
+  if (spec.type === "date") {
+    const valid = DATE.test(value) && !Number.isNaN(Date.parse(value));
+    if (!valid) return bad("must be a date (YYYY-MM-DD)");
+  }
+  return [];
+}
+
+/**
+ * Validate caller variables against a template's declarations.
+ * Missing optional variables take their `default` (or an empty string);
+ * tickers are upper-cased.
+ * @returns {{ values: object } | { errors: object[] }} errors like
+ *   validateSchema's, with paths under `$.vars`
+ */
+function validateVars(template, vars = {}) {
+  if (!vars || typeof vars !== "object" || Array.isArray(vars)) {
+    return {
+      errors: [{ path: "$.vars", keyword: "type", message: "must be object" }],
+    };
+  }
+  const properties = {};
+  const required = [];
+  for (const [name, spec] of Object.entries(template.vars)) {
+    properties[name] = varSchema(spec);
+    if (spec.required) required.push(name);
+  }
+  const schema = { type: "object", properties, required };
+  const errors = validateSchema(vars, schema, "$.vars");
+  // Named here rather than by validateSchema: they came from the caller
+  for (const name of Object.keys(vars)) {
+    if (!Object.hasOwn(template.vars, name)) {
+      errors.push({
+        path: `$.vars.${name}`,
+        keyword: "additionalProperties",
+        message: "is not allowed",
+      });
+    }
+  }
+  if (errors.length > 0) return { errors };
+
+  const values = {};
+  for (const [name, spec] of Object.entries(template.vars)) {
+    if (!Object.hasOwn(vars, name)) {
+      values[name] = spec.default ?? "";
+      continue;
+    }
+    errors.push(...formatErrors(vars[name], spec, `$.vars.${name}`));
+    if (spec.type === "ticker") values[name] = vars[name].toUpperCase();
+    else if (spec.type === "tickers") {
+      values[name] = vars[name].map((t) => t.toUpperCase());
+    } else values[name] = vars[name];
+  }
+  return errors.length > 0 ? { errors } : { values };
+}
+
+/** Fill a template's placeholders; lists are joined with ", ". */
+function render(template, values) {
+  return template.text.replace(PLACEHOLDER, (_, name) =>
+    [].concat(values[name]).join(", "),
+  );
+}
+
+/**
+ * Named prompt templates kept as `<name>.json` files (zero dependencies).
+ * The built-in templates are written to the directory when missing. Files are
+ * read on every lookup, so edits apply without a restart.
+ * @param {object} opts
+ * @param {string} opts.dir - Template directory (default ~/.ai-stocks/templates)
+ */
+function createTemplateStore({ dir } = {}) {
+  const templateDir =
+    dir || path.join(os.homedir(), ".ai-stocks", "templates");
+  fs.mkdirSync(templateDir, { recursive: true, mode: 0o700 });
+  for (const [name, template] of Object.entries(BUILTIN_TEMPLATES)) {
+    const file = path.join(templateDir, name + ".json");
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, JSON.stringify(template, null, 2) + "\n", {
+        mode: 0o600,
+      });
+    }
+  }
+
+  // { name, ...template } or { name, error } for a broken file; null if absent
+  function read(name) {
+    if (!TEMPLATE_NAME.test(name)) return null;
+    let template;
+    try {
+      const file = path.join(templateDir, name + ".json");
+      template = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      return { name, error: `Invalid JSON: ${e.message}` };
+    }
+    try {
+      checkTemplate(template);
+    } catch (e) {
+      return { name, error: e.message };
+    }
+    return { name, ...template };
+  }
+
+  return {
+    /** Template by name, `{ name, error }` when its file is broken, or null. */
+    get: read,
+    /** Every template, sorted by name, without its text. */
+    list() {
+      return fs
+        .readdirSync(templateDir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => read(file.slice(0, -5)))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(({ text, ...meta }) => meta);
+    },
+    getDir() {
+      return templateDir;
+    },
+  };
+}
+
+module.exports = {
+  createTemplateStore,
+  checkTemplate,
+  validateVars,
+  render,
+  BUILTIN_TEMPLATES,
+};
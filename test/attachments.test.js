@@ -0,0 +1,94 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const { createAttachmentReader } = require("../attachments");
+
+describe("Attachment reader", () => {
+  const root = path.join(os.tmpdir(), "ai-stocks-attachments-test-" + Date.now());
+  const dataDir = path.join(root, "data");
+  let reader;
+
+  const write = (name, content) => {
+    const file = path.join(dataDir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  beforeEach(() => {
+    reader = createAttachmentReader({ dir: dataDir, maxChars: 2000 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("reads small files whole", () => {
+    write("prices/2330.csv", "date,close\n2026-01-02,1060\n2026-01-05,1075\n");
+    write("notes.txt", "Board meeting on Friday");
+    const [prices, notes] = reader.load(["prices/2330.csv", "notes.txt"]);
+    assert.strictEqual(prices.type, "csv");
+    assert.strictEqual(prices.truncated, false);
+    assert.ok(prices.text.startsWith("2 rows; columns: date, close"));
+    assert.ok(prices.text.includes("close: min 1060, max 1075, first 1060, last 1075"));
+    assert.ok(prices.text.endsWith("2026-01-05,1075"));
+    assert.deepStrictEqual(notes, {
+      name: "notes.txt",
+      type: "text",
+      bytes: 23,
+      text: "Board meeting on Friday",
+      truncated: false,
+    });
+  });
+
+  it("keeps the header, first and last rows of long tables", () => {
+    const rows = Array.from({ length: 500 }, (_, i) => `2026-01-${i},${100 + i}`);
+    write("long.csv", ["date,close", ...rows].join("\n"));
+    const [long] = reader.load(["long.csv"]);
+    assert.strictEqual(long.truncated, true);
+    assert.ok(long.text.length <= 2000);
+    assert.ok(long.text.includes("500 rows"));
+    assert.ok(long.text.includes("close: min 100, max 599, first 100, last 599"));
+    assert.ok(long.text.includes("\ndate,close\n2026-01-0,100\n"));
+    assert.match(long.text, /… \d+ rows omitted …/);
+    assert.ok(long.text.endsWith("2026-01-499,599"));
+  });
+
+  it("compacts JSON and trims long arrays", () => {
+    write("eps.json", '{ "eps": [ 9.1, 10.2 ] }');
+    write("bars.json", JSON.stringify(Array.from({ length: 400 }, (_, i) => ({ i }))));
+    const [eps, bars] = reader.load(["eps.json", "bars.json"]);
+    assert.strictEqual(eps.text, '{"eps":[9.1,10.2]}');
+    assert.ok(bars.text.startsWith('400 items\n{"i":0}'));
+    assert.ok(bars.text.endsWith('{"i":399}'));
+    assert.ok(bars.text.length <= 1000);
+    write("bad.json", "{");
+    assert.throws(() => reader.load(["bad.json"]), /attachments\[0\].*invalid JSON/);
+  });
+
+  it("refuses paths outside the data directory", () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(path.join(root, "secret.txt"), "token");
+    fs.symlinkSync(path.join(root, "secret.txt"), path.join(dataDir, "link.txt"));
+    for (const name of ["../secret.txt", "/etc/passwd.txt", "link.txt"]) {
+      assert.throws(() => reader.load([name]), /inside the data directory/);
+    }
+    assert.throws(() => reader.load(['a".txt']), /relative file name/);
+  });
+
+  it("enforces type, size and count limits", () => {
+    write("run.sh", "echo hi");
+    write("big.txt", "x".repeat(2048));
+    write("dir.csv/keep", "");
+    const small = createAttachmentReader({ dir: dataDir, maxFileBytes: 1024, maxFiles: 2 });
+    assert.throws(() => small.load(["run.sh"]), /type not allowed/);
+    assert.throws(() => small.load(["big.txt"]), /larger than 1024 bytes/);
+    assert.throws(() => small.load(["dir.csv"]), /not a file/);
+    assert.throws(() => small.load(["missing.csv"]), /not found/);
+    assert.throws(() => small.load(["a.txt", "b.txt", "c.txt"]), /At most 2/);
+    assert.throws(() => small.load("a.txt"), /must be an array/);
+  });
+});
@@ -0,0 +1,91 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const zlib = require("node:zlib");
+
+const { createAuditLog } = require("../audit-log");
+
+describe("Audit log", () => {
+  const testDir = path.join(os.tmpdir(), "ai-stocks-audit-test-" + Date.now());
+  const file = path.join(testDir, "bridge.log");
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("writes one JSON object per line with a timestamp", () => {
+    const log = createAuditLog({ file });
+    log.write({ requestId: "r1", cli: "gemini", status: "OK", elapsedMs: 1200 });
+    const lines = fs.readFileSync(file, "utf-8").trim().split("\n");
+    assert.strictEqual(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.requestId, "r1");
+    assert.strictEqual(entry.elapsedMs, 1200);
+    assert.ok(!Number.isNaN(Date.parse(entry.ts)));
+  });
+
+  it("filters by cli, status, client and since", () => {
+    const log = createAuditLog({ file });
+    log.write({ cli: "gemini", status: "OK", client: "owner" });
+    log.write({ cli: "claude", status: "FAIL", client: "c1" });
+    log.write({ cli: "multi", clis: ["claude", "codex"], status: "OK" });
+
+    assert.strictEqual(log.query({ cli: "gemini" }).length, 1);
+    assert.strictEqual(log.query({ cli: "claude" }).length, 2);
+    assert.strictEqual(log.query({ status: "FAIL" }).length, 1);
+    assert.deepStrictEqual(
+      log.query({ client: "c1" }).map((e) => e.cli),
+      ["claude"],
+    );
+    assert.strictEqual(log.query({ since: Date.now() + 60_000 }).length, 0);
+    assert.strictEqual(log.query({ since: Date.now() - 60_000 }).length, 3);
+  });
+
+  it("returns the newest entries up to limit", () => {
+    const log = createAuditLog({ file });
+    for (let i = 0; i < 5; i++) log.write({ cli: "gemini", status: "OK", n: i });
+    const entries = log.query({ limit: 2 });
+    assert.deepStrictEqual(
+      entries.map((e) => e.n),
+      [3, 4],
+    );
+  });
+
+  it("skips legacy free-text lines", () => {
+    fs.writeFileSync(file, "[2025-01-01T00:00:00Z] CLI:gemini Status:OK\n");
+    const log = createAuditLog({ file });
+    log.write({ cli: "gemini", status: "OK" });
+    assert.strictEqual(log.query().length, 1);
+  });
+
+  it("keeps the configured number of generations", () => {
+    const log = createAuditLog({ file, maxBytes: 10, generations: 2 });
+    for (let i = 0; i < 5; i++) log.write({ cli: "gemini", status: "OK", n: i });
+    assert.ok(fs.existsSync(file + ".1"));
+    assert.ok(fs.existsSync(file + ".2"));
+    assert.ok(!fs.existsSync(file + ".3"));
+    // Newest three entries survive: .2, .1 and the active file
+    assert.deepStrictEqual(
+      log.query().map((e) => e.n),
+      [2, 3, 4],
+    );
+  });
+
+  it("gzips rotated generations and still queries them", () => {
+    const log = createAuditLog({ file, maxBytes: 10, generations: 2, gzip: true });
+    for (let i = 0; i < 3; i++) log.write({ cli: "gemini", status: "OK", n: i });
+    const gz = fs.readFileSync(file + ".1.gz");
+    assert.match(zlib.gunzipSync(gz).toString(), /"n":1/);
+    assert.deepStrictEqual(
+      log.query().map((e) => e.n),
+      [0, 1, 2],
+    );
+  });
+});
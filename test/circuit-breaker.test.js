@@ -0,0 +1,120 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const { createCircuitBreaker } = require("../circuit-breaker");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe("Circuit breaker", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-stocks-breaker-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const violate = (breaker, key, times) => {
+    let outcome;
+    for (let i = 0; i < times; i++) outcome = breaker.record(key);
+    return outcome;
+  };
+
+  it("bans only the key that reached the threshold", () => {
+    const breaker = createCircuitBreaker({ dir, threshold: 3, banMs: 60_000 });
+    assert.deepStrictEqual(violate(breaker, "client:a", 2), { banned: false });
+    const outcome = breaker.record("client:a");
+    assert.strictEqual(outcome.banned, true);
+    assert.strictEqual(outcome.strikes, 1);
+    breaker.record("client:b");
+
+    const retry = breaker.retryAfterMs("client:a");
+    assert.ok(retry > 59_000 && retry <= 60_000);
+    assert.strictEqual(breaker.retryAfterMs("client:b"), 0);
+    assert.strictEqual(breaker.retryAfterMs("owner"), 0);
+  });
+
+  it("doubles each further ban up to the maximum", async () => {
+    const breaker = createCircuitBreaker({
+      dir,
+      threshold: 1,
+      banMs: 20,
+      maxBanMs: 50,
+    });
+    const durations = [];
+    for (let i = 0; i < 3; i++) {
+      const before = Date.now();
+      const { bannedUntil } = breaker.record("origin:none");
+      durations.push(bannedUntil - before);
+      await sleep(bannedUntil - Date.now() + 5);
+    }
+    assert.ok(durations[0] >= 20 && durations[0] < 30, `${durations}`);
+    assert.ok(durations[1] >= 40 && durations[1] < 50, `${durations}`);
+    assert.ok(durations[2] >= 50 && durations[2] < 60, `${durations}`);
+  });
+
+  it("forgets the backoff after a quiet period", async () => {
+    const breaker = createCircuitBreaker({
+      dir,
+      threshold: 1,
+      banMs: 10,
+      forgetMs: 20,
+    });
+    breaker.record("owner");
+    await sleep(40);
+    assert.deepStrictEqual(breaker.status(), []);
+    assert.strictEqual(breaker.record("owner").strikes, 1);
+  });
+
+  it("only counts violations inside the window", async () => {
+    const breaker = createCircuitBreaker({ dir, threshold: 2, windowMs: 20 });
+    breaker.record("client:a");
+    await sleep(30);
+    assert.deepStrictEqual(breaker.record("client:a"), { banned: false });
+  });
+
+  it("reports and lifts bans", () => {
+    const breaker = createCircuitBreaker({ dir, threshold: 2 });
+    violate(breaker, "origin:https://trilo.tw", 2);
+    breaker.record("client:a");
+    const [banned, watched] = breaker.status();
+    assert.strictEqual(banned.key, "origin:https://trilo.tw");
+    assert.strictEqual(banned.banned, true);
+    assert.strictEqual(banned.strikes, 1);
+    assert.ok(banned.retryAfterMs > 0);
+    assert.deepStrictEqual(watched, {
+      key: "client:a",
+      banned: false,
+      bannedUntil: null,
+      retryAfterMs: 0,
+      strikes: 0,
+      violations: 1,
+    });
+
+    assert.strictEqual(breaker.lift("origin:https://trilo.tw"), true);
+    assert.strictEqual(breaker.retryAfterMs("origin:https://trilo.tw"), 0);
+    assert.strictEqual(breaker.lift("origin:https://trilo.tw"), false);
+    // Lifting forgets the backoff too
+    violate(breaker, "origin:https://trilo.tw", 2);
+    assert.strictEqual(breaker.status()[0].strikes, 1);
+    assert.strictEqual(breaker.liftAll(), 1);
+    assert.deepStrictEqual(breaker.status(), []);
+  });
+
+  it("shares state with other processes through bans.json", () => {
+    const server = createCircuitBreaker({ dir, threshold: 1 });
+    server.record("client:a");
+    assert.strictEqual(fs.statSync(server.getFile()).mode & 0o777, 0o600);
+
+    const cli = createCircuitBreaker({ dir, threshold: 1 });
+    assert.ok(cli.retryAfterMs("client:a") > 0);
+    assert.strictEqual(cli.lift("client:a"), true);
+    assert.strictEqual(server.retryAfterMs("client:a"), 0);
+  });
+});
@@ -0,0 +1,86 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCliPaths } = require("../cli-paths");
+
+const registry = { claude: { cmd: "claude" }, gemini: { cmd: "gemini" } };
+
+// Fake PATH and file system the tests can change between rescans
+function fakeSystem(initial) {
+  const onPath = { ...initial };
+  const files = new Set(Object.values(initial));
+  return {
+    onPath,
+    files,
+    resolve: (cmd) => onPath[cmd] || null,
+    exists: (p) => files.has(p),
+  };
+}
+
+describe("CLI paths", () => {
+  it("resolves every CLI at creation", () => {
+    const sys = fakeSystem({ claude: "/usr/bin/claude" });
+    const paths = createCliPaths(registry, sys);
+    assert.deepStrictEqual(paths.all(), {
+      claude: "/usr/bin/claude",
+      gemini: null,
+    });
+    assert.deepStrictEqual(paths.rescan(), []);
+  });
+
+  it("accepts a CLI installed after startup", () => {
+    const sys = fakeSystem({ claude: "/usr/bin/claude" });
+    const paths = createCliPaths(registry, sys);
+    sys.onPath.gemini = "/usr/local/bin/gemini";
+    sys.files.add("/usr/local/bin/gemini");
+    assert.deepStrictEqual(paths.rescan(), [
+      { cli: "gemini", change: "added", path: "/usr/local/bin/gemini" },
+    ]);
+    assert.strictEqual(paths.get("gemini"), "/usr/local/bin/gemini");
+  });
+
+  it("keeps the locked path when PATH points elsewhere, reporting it once", () => {
+    const sys = fakeSystem({ claude: "/usr/bin/claude" });
+    const paths = createCliPaths(registry, sys);
+    sys.onPath.claude = "/tmp/evil/claude";
+    assert.deepStrictEqual(paths.rescan(), [
+      {
+        cli: "claude",
+        change: "path-changed",
+        path: "/usr/bin/claude",
+        foundPath: "/tmp/evil/claude",
+      },
+    ]);
+    assert.deepStrictEqual(paths.rescan(), []);
+    assert.strictEqual(paths.get("claude"), "/usr/bin/claude");
+  });
+
+  it("reports a locked path that disappears and comes back", () => {
+    const sys = fakeSystem({ claude: "/usr/bin/claude" });
+    const paths = createCliPaths(registry, sys);
+    sys.files.delete("/usr/bin/claude");
+    assert.deepStrictEqual(paths.rescan(), [
+      { cli: "claude", change: "missing", path: "/usr/bin/claude" },
+    ]);
+    assert.strictEqual(paths.get("claude"), null);
+    assert.deepStrictEqual(paths.rescan(), []);
+
+    sys.files.add("/usr/bin/claude");
+    assert.deepStrictEqual(paths.rescan(), [
+      { cli: "claude", change: "restored", path: "/usr/bin/claude" },
+    ]);
+    assert.strictEqual(paths.get("claude"), "/usr/bin/claude");
+  });
+
+  it("never replaces a missing CLI with one found elsewhere", () => {
+    const sys = fakeSystem({ claude: "/usr/bin/claude" });
+    const paths = createCliPaths(registry, sys);
+    sys.files.delete("/usr/bin/claude");
+    sys.onPath.claude = "/tmp/evil/claude";
+    sys.files.add("/tmp/evil/claude");
+    paths.rescan();
+    paths.rescan();
+    assert.strictEqual(paths.get("claude"), null);
+  });
+});
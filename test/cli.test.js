@@ -0,0 +1,145 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCommandLine, HELP } = require("../cli");
+
+describe("parseCommandLine", () => {
+  it("serves by default", () => {
+    assert.deepStrictEqual(parseCommandLine([]), {
+      command: "serve",
+      action: null,
+      positionals: [],
+      options: {},
+    });
+  });
+
+  it("accepts serve flags with or without the serve command", () => {
+    const argv = [
+      "--port",
+      "8000",
+      "--log-level",
+      "debug",
+      "--allow-origin",
+      "http://localhost:*",
+      "--allow-origin=https://stocks.example.com",
+      "--rate-limit",
+      "30",
+    ];
+    for (const args of [argv, ["serve", ...argv]]) {
+      const { command, options } = parseCommandLine(args);
+      assert.strictEqual(command, "serve");
+      assert.strictEqual(options.port, 8000);
+      assert.strictEqual(options.logLevel, "debug");
+      assert.strictEqual(options.rateLimit, 30);
+      assert.deepStrictEqual(options.allowOrigin, [
+        "http://localhost:*",
+        "https://stocks.example.com",
+      ]);
+    }
+  });
+
+  it("supports short flags", () => {
+    const { options } = parseCommandLine(["-p", "7000", "-c", "/tmp/b.json"]);
+    assert.strictEqual(options.port, 7000);
+    assert.strictEqual(options.config, "/tmp/b.json");
+  });
+
+  it("range-checks numbers and enums", () => {
+    assert.throws(() => parseCommandLine(["--port", "0"]), /--port/);
+    assert.throws(() => parseCommandLine(["--port", "80x"]), /--port/);
+    assert.throws(
+      () => parseCommandLine(["--max-concurrent", "0"]),
+      /--max-concurrent/,
+    );
+    assert.throws(
+      () => parseCommandLine(["--log-level", "loud"]),
+      /--log-level/,
+    );
+    assert.throws(
+      () => parseCommandLine(["--rescan-interval-ms", "10"]),
+      /--rescan-interval-ms/,
+    );
+    assert.strictEqual(
+      parseCommandLine(["--rescan-interval-ms", "60000"]).options.rescanIntervalMs,
+      60000,
+    );
+  });
+
+  it("only binds to loopback hosts", () => {
+    assert.strictEqual(parseCommandLine(["--host", "::1"]).options.host, "::1");
+    assert.throws(() => parseCommandLine(["--host", "0.0.0.0"]), /--host/);
+  });
+
+  it("rejects unknown commands and options", () => {
+    assert.throws(
+      () => parseCommandLine(["launch"]),
+      /Unknown command "launch"/,
+    );
+    assert.throws(() => parseCommandLine(["--nope"]), /serve: Unknown option/);
+    assert.throws(() => parseCommandLine(["doctor", "--port", "1"]), /doctor/);
+  });
+
+  it("parses actions and their arguments", () => {
+    assert.deepStrictEqual(parseCommandLine(["token", "rotate"]), {
+      command: "token",
+      action: "rotate",
+      positionals: [],
+      options: {},
+    });
+    const add = parseCommandLine([
+      "clients",
+      "add",
+      "https://trilo.tw",
+      "--clis",
+      "claude",
+      "--capacity",
+      "5",
+    ]);
+    assert.deepStrictEqual(add.positionals, ["https://trilo.tw"]);
+    assert.strictEqual(add.options.clis, "claude");
+    assert.strictEqual(add.options.capacity, 5);
+  });
+
+  it("checks argument counts", () => {
+    assert.throws(
+      () => parseCommandLine(["token"]),
+      /token show\|rotate\|revoke/,
+    );
+    assert.throws(
+      () => parseCommandLine(["clients", "add"]),
+      /missing argument/,
+    );
+    assert.throws(
+      () => parseCommandLine(["test-cli", "gemini", "extra"]),
+      /unexpected argument "extra"/,
+    );
+    assert.deepStrictEqual(
+      parseCommandLine(["test-cli", "gemini", "--prompt", "hi"]).positionals,
+      ["gemini"],
+    );
+    assert.deepStrictEqual(
+      parseCommandLine(["bans", "lift", "origin:https://trilo.tw"]).positionals,
+      ["origin:https://trilo.tw"],
+    );
+    assert.throws(() => parseCommandLine(["bans", "lift"]), /missing argument/);
+  });
+
+  it("lets --help and --version skip argument checks", () => {
+    assert.strictEqual(parseCommandLine(["token", "--help"]).options.help, true);
+    assert.strictEqual(parseCommandLine(["-v"]).options.version, true);
+  });
+
+  it("documents every command", () => {
+    for (const command of [
+      "serve",
+      "doctor",
+      "test-cli",
+      "token",
+      "clients",
+      "bans",
+    ]) {
+      assert.ok(HELP.includes(command), command);
+    }
+  });
+});
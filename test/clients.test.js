@@ -0,0 +1,159 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const { createClientStore, clientAllows } = require("../clients");
+
+const ORIGIN = "https://trilo.tw";
+
+describe("Client Store", () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-stocks-clients-"));
+    store = createClientStore({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("issues a credential bound to an origin", () => {
+    const { client, secret } = store.issue({ origin: ORIGIN });
+    assert.match(secret, /^bc_/);
+    assert.strictEqual(client.origin, ORIGIN);
+    assert.strictEqual(store.authenticate(secret, ORIGIN).id, client.id);
+  });
+
+  it("rejects the credential from another origin", () => {
+    const { secret } = store.issue({ origin: ORIGIN });
+    assert.strictEqual(store.authenticate(secret, "https://evil.com"), null);
+    assert.strictEqual(store.authenticate(secret, undefined), null);
+  });
+
+  it("rejects unknown or missing secrets", () => {
+    store.issue({ origin: ORIGIN });
+    assert.strictEqual(store.authenticate("bc_nope", ORIGIN), null);
+    assert.strictEqual(store.authenticate(undefined, ORIGIN), null);
+  });
+
+  it("stores only secret hashes, with mode 0600", () => {
+    const { secret } = store.issue({ origin: ORIGIN });
+    const raw = fs.readFileSync(store.getFile(), "utf-8");
+    assert.ok(!raw.includes(secret));
+    if (process.platform !== "win32") {
+      assert.strictEqual(fs.statSync(store.getFile()).mode & 0o777, 0o600);
+    }
+  });
+
+  it("never lists secret hashes", () => {
+    store.issue({ origin: ORIGIN });
+    const [client] = store.list();
+    assert.strictEqual(client.origin, ORIGIN);
+    assert.strictEqual(client.secretHash, undefined);
+  });
+
+  it("revokes a client", () => {
+    const { client, secret } = store.issue({ origin: ORIGIN });
+    assert.strictEqual(store.revoke(client.id), 1);
+    assert.strictEqual(store.authenticate(secret, ORIGIN), null);
+    assert.strictEqual(store.revoke(client.id), 0);
+  });
+
+  it("revokes every client with a label", () => {
+    store.issue({ origin: ORIGIN, label: "laptop" });
+    store.issue({ origin: "http://localhost:5173", label: "laptop" });
+    store.issue({ origin: ORIGIN, label: "phone" });
+    assert.strictEqual(store.revoke("laptop"), 2);
+    assert.deepStrictEqual(store.list().map((c) => c.label), ["phone"]);
+  });
+
+  it("defaults the label to the origin host and allows every CLI", () => {
+    const { client } = store.issue({ origin: ORIGIN });
+    assert.strictEqual(client.label, "trilo.tw");
+    assert.strictEqual(client.clis, null);
+    assert.strictEqual(client.rateLimit, null);
+  });
+
+  it("stores the CLI list and rate limit", () => {
+    const { client } = store.issue({
+      origin: ORIGIN,
+      clis: ["claude", "claude", "gemini"],
+      rateLimit: { capacity: 5, refillIntervalMs: 12000 },
+    });
+    assert.deepStrictEqual(client.clis, ["claude", "gemini"]);
+    assert.deepStrictEqual(store.list()[0].rateLimit, {
+      capacity: 5,
+      refillIntervalMs: 12000,
+    });
+  });
+
+  it("rejects invalid fields", () => {
+    assert.throws(() => store.issue({ origin: "trilo.tw" }), /Invalid origin/);
+    assert.throws(() => store.issue({ origin: ORIGIN, label: "" }), /Label/);
+    assert.throws(() => store.issue({ origin: ORIGIN, clis: [] }), /non-empty/);
+    assert.throws(
+      () => store.issue({ origin: ORIGIN, clis: ["Bad Name"] }),
+      /Invalid CLI name/,
+    );
+    assert.throws(
+      () => store.issue({ origin: ORIGIN, rateLimit: { capacity: 0, refillIntervalMs: 1000 } }),
+      /capacity/,
+    );
+    assert.deepStrictEqual(store.list(), []);
+  });
+
+  it("picks up changes written by another process", () => {
+    const { secret } = store.issue({ origin: ORIGIN });
+    const other = createClientStore({ dir });
+    assert.ok(other.authenticate(secret, ORIGIN));
+    const [client] = store.list();
+    store.revoke(client.id);
+    // Force a distinct mtime in case both writes land in the same tick
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(store.getFile(), future, future);
+    assert.strictEqual(other.authenticate(secret, ORIGIN), null);
+  });
+
+  it("keeps the last good list when the file is unreadable", () => {
+    const warnings = [];
+    const watcher = createClientStore({ dir, onWarning: (m) => warnings.push(m) });
+    const { secret } = store.issue({ origin: ORIGIN });
+    assert.ok(watcher.authenticate(secret, ORIGIN));
+
+    fs.writeFileSync(store.getFile(), '{"clients":[');
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(store.getFile(), future, future);
+    assert.ok(watcher.authenticate(secret, ORIGIN));
+    assert.ok(watcher.authenticate(secret, ORIGIN));
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /clients\.json/);
+  });
+
+  it("ignores stored hashes of the wrong length", () => {
+    const { secret } = store.issue({ origin: ORIGIN });
+    const data = JSON.parse(fs.readFileSync(store.getFile(), "utf-8"));
+    data.clients.unshift({ ...data.clients[0], id: "short", secretHash: "abcd" });
+    fs.writeFileSync(store.getFile(), JSON.stringify(data));
+    const other = createClientStore({ dir });
+    assert.strictEqual(other.authenticate("bc_nope", ORIGIN), null);
+    assert.notStrictEqual(other.authenticate(secret, ORIGIN).id, "short");
+  });
+
+  it("writes the file without leaving temporary files", () => {
+    store.issue({ origin: ORIGIN });
+    assert.deepStrictEqual(fs.readdirSync(dir), ["clients.json"]);
+    assert.strictEqual(fs.statSync(store.getFile()).mode & 0o777, 0o600);
+  });
+
+  it("limits clients to their CLI list", () => {
+    assert.strictEqual(clientAllows(null, "codex"), true);
+    assert.strictEqual(clientAllows({ clis: null }, "codex"), true);
+    assert.strictEqual(clientAllows({ clis: ["claude"] }, "claude"), true);
+    assert.strictEqual(clientAllows({ clis: ["claude"] }, "codex"), false);
+  });
+});
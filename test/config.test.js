@@ -0,0 +1,360 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const {
+  loadConfig,
+  buildCliRegistry,
+  buildCacheOptions,
+  buildAuditOptions,
+  buildTokenOptions,
+  buildOriginOptions,
+  buildSessionOptions,
+  buildAttachmentOptions,
+  buildRedactionOptions,
+} = require("../config");
+
+describe("buildCliRegistry", () => {
+  it("returns the default CLIs with the gemini model flag applied", () => {
+    const registry = buildCliRegistry();
+    assert.deepStrictEqual(Object.keys(registry).sort(), [
+      "claude",
+      "codex",
+      "gemini",
+    ]);
+    assert.deepStrictEqual(registry.gemini.args, [
+      "-m",
+      "gemini-3-flash-preview",
+      "-o",
+      "text",
+    ]);
+    assert.strictEqual(registry.codex.sandbox, true);
+    assert.strictEqual(registry.codex.timeout, 180_000);
+  });
+
+  it("overrides model and timeout of a built-in CLI", () => {
+    const registry = buildCliRegistry({
+      gemini: { model: "gemini-2.5-pro", timeout: 60_000 },
+    });
+    assert.deepStrictEqual(registry.gemini.args.slice(0, 2), [
+      "-m",
+      "gemini-2.5-pro",
+    ]);
+    assert.strictEqual(registry.gemini.timeout, 60_000);
+  });
+
+  it("adds a new CLI with default timeout", () => {
+    const registry = buildCliRegistry({
+      ollama: { cmd: "ollama", args: ["run", "llama3"] },
+    });
+    assert.deepStrictEqual(registry.ollama.args, ["run", "llama3"]);
+    assert.strictEqual(registry.ollama.timeout, 120_000);
+    assert.strictEqual(registry.ollama.sandbox, false);
+  });
+
+  it("drops disabled entries", () => {
+    const registry = buildCliRegistry({ codex: { disabled: true } });
+    assert.strictEqual(registry.codex, undefined);
+    assert.ok(registry.claude);
+  });
+
+  it("accepts a per-CLI concurrency limit", () => {
+    const registry = buildCliRegistry({ codex: { concurrency: 1 } });
+    assert.strictEqual(registry.codex.concurrency, 1);
+    assert.strictEqual(registry.claude.concurrency, null);
+    assert.throws(() => buildCliRegistry({ codex: { concurrency: 0 } }), {
+      message: /clis\.codex\.concurrency/,
+    });
+  });
+
+  it("weights codex heavier for rate limiting", () => {
+    const registry = buildCliRegistry({ claude: { weight: 3 } });
+    assert.strictEqual(registry.codex.weight, 2);
+    assert.strictEqual(registry.gemini.weight, 1);
+    assert.strictEqual(registry.claude.weight, 3);
+    assert.throws(() => buildCliRegistry({ codex: { weight: 11 } }), {
+      message: /clis\.codex\.weight/,
+    });
+  });
+
+  it("accepts a per-CLI rate limit", () => {
+    const registry = buildCliRegistry({
+      codex: { rateLimit: { capacity: 4, refillIntervalMs: 30_000 } },
+    });
+    assert.deepStrictEqual(registry.codex.rateLimit, {
+      capacity: 4,
+      refillIntervalMs: 30_000,
+    });
+    assert.strictEqual(registry.claude.rateLimit, null);
+    assert.throws(
+      () => buildCliRegistry({ codex: { rateLimit: { capacity: 0, burst: 1 } } }),
+      (err) => {
+        assert.match(err.message, /clis\.codex\.rateLimit\.capacity/);
+        assert.match(err.message, /clis\.codex\.rateLimit\.burst: unknown field/);
+        return true;
+      },
+    );
+    assert.throws(() => buildCliRegistry({ codex: { rateLimit: 5 } }), {
+      message: /clis\.codex\.rateLimit: must be an object/,
+    });
+  });
+
+  it("requires cmd for new CLIs", () => {
+    assert.throws(() => buildCliRegistry({ aider: { args: [] } }), {
+      message: /clis\.aider\.cmd: required/,
+    });
+  });
+
+  it("reports every invalid field", () => {
+    assert.throws(
+      () =>
+        buildCliRegistry({
+          claude: { timeout: 10, args: "--print", colour: true },
+        }),
+      (err) => {
+        assert.match(err.message, /clis\.claude\.timeout/);
+        assert.match(err.message, /clis\.claude\.args/);
+        assert.match(err.message, /clis\.claude\.colour: unknown field/);
+        return true;
+      },
+    );
+  });
+
+  it("rejects invalid CLI names", () => {
+    assert.throws(() => buildCliRegistry({ "../evil": { cmd: "x" } }), {
+      message: /name must match/,
+    });
+  });
+});
+
+describe("buildCacheOptions", () => {
+  it("enables a one-hour cache by default", () => {
+    assert.deepStrictEqual(buildCacheOptions(), {
+      enabled: true,
+      ttlMs: 3_600_000,
+      maxEntries: 500,
+    });
+  });
+
+  it("applies overrides and rejects bad values", () => {
+    assert.strictEqual(buildCacheOptions({ ttlMs: 60_000 }).ttlMs, 60_000);
+    assert.throws(() => buildCacheOptions({ ttlMs: -1 }), {
+      message: /cache\.ttlMs/,
+    });
+    assert.throws(() => buildCacheOptions({ enabled: "yes" }), {
+      message: /cache\.enabled/,
+    });
+  });
+});
+
+describe("buildAuditOptions", () => {
+  it("keeps three uncompressed 5MB generations by default", () => {
+    assert.deepStrictEqual(buildAuditOptions(), {
+      maxBytes: 5 * 1024 * 1024,
+      generations: 3,
+      gzip: false,
+    });
+  });
+
+  it("accepts gzip and generation overrides", () => {
+    const audit = buildAuditOptions({ generations: 10, gzip: true });
+    assert.strictEqual(audit.generations, 10);
+    assert.strictEqual(audit.gzip, true);
+    assert.throws(() => buildAuditOptions({ maxBytes: 10 }), {
+      message: /audit\.maxBytes/,
+    });
+  });
+});
+
+describe("buildTokenOptions", () => {
+  it("never expires tokens by default", () => {
+    assert.deepStrictEqual(buildTokenOptions(), {
+      maxAgeMs: 0,
+      graceMs: 300_000,
+    });
+  });
+
+  it("rejects a negative grace window", () => {
+    assert.throws(() => buildTokenOptions({ graceMs: -1 }), {
+      message: /token\.graceMs/,
+    });
+  });
+});
+
+describe("buildAttachmentOptions", () => {
+  it("fills in defaults", () => {
+    assert.deepStrictEqual(buildAttachmentOptions(), {
+      dir: null,
+      maxFiles: 5,
+      maxFileBytes: 1_048_576,
+      maxChars: 12_000,
+    });
+    const options = buildAttachmentOptions({ dir: "/srv/data", maxFiles: 2 });
+    assert.strictEqual(options.dir, "/srv/data");
+    assert.strictEqual(options.maxFiles, 2);
+  });
+
+  it("rejects relative dirs, out-of-range values and unknown fields", () => {
+    assert.throws(
+      () => buildAttachmentOptions({ dir: "data", maxChars: 1e6, x: 1 }),
+      (e) =>
+        /attachments\.dir: must be an absolute path/.test(e.message) &&
+        /attachments\.maxChars/.test(e.message) &&
+        /attachments\.x: unknown field/.test(e.message),
+    );
+  });
+});
+
+describe("buildRedactionOptions", () => {
+  it("fills in defaults", () => {
+    assert.deepStrictEqual(buildRedactionOptions(), {
+      rules: [],
+      disable: [],
+      entropy: { enabled: true, minLength: 24, threshold: 4 },
+    });
+    const options = buildRedactionOptions({
+      rules: [{ type: "ACCOUNT_NUMBER", pattern: "\\d{3}-\\d{7}" }],
+      disable: ["ACCOUNT_NUMBER", "HOME"],
+      entropy: { threshold: 4.5 },
+    });
+    assert.strictEqual(options.rules.length, 1);
+    assert.deepStrictEqual(options.disable, ["ACCOUNT_NUMBER", "HOME"]);
+    assert.deepStrictEqual(options.entropy, {
+      enabled: true,
+      minLength: 24,
+      threshold: 4.5,
+    });
+  });
+
+  it("lists every problem", () => {
+    assert.throws(
+      () =>
+        buildRedactionOptions({
+          rules: [{ type: "ACCOUNT", pattern: "(" }],
+          disable: ["SSN"],
+          entropy: { minLength: 4, threshold: "high" },
+          extra: true,
+        }),
+      (e) =>
+        /redaction\.extra: unknown field/.test(e.message) &&
+        /redaction\.rules\[0\]: pattern: Invalid regular/.test(e.message) &&
+        /redaction\.disable\[0\]: unknown type SSN/.test(e.message) &&
+        /redaction\.entropy\.minLength/.test(e.message) &&
+        /redaction\.entropy\.threshold/.test(e.message),
+    );
+  });
+});
+
+describe("buildSessionOptions", () => {
+  it("fills in defaults", () => {
+    assert.deepStrictEqual(buildSessionOptions(), {
+      idleTtlMs: 1_800_000,
+      maxTurns: 20,
+      maxSessions: 100,
+      historyChars: 6000,
+    });
+    assert.strictEqual(buildSessionOptions({ maxTurns: 4 }).maxTurns, 4);
+  });
+
+  it("rejects out-of-range values and unknown fields", () => {
+    assert.throws(() => buildSessionOptions({ historyChars: 10 }), {
+      message: /sessions\.historyChars/,
+    });
+    assert.throws(() => buildSessionOptions({ ttl: 1 }), {
+      message: /sessions\.ttl: unknown field/,
+    });
+  });
+});
+
+describe("buildOriginOptions", () => {
+  it("keeps the built-in origins by default", () => {
+    assert.deepStrictEqual(buildOriginOptions(), {
+      allow: [],
+      includeDefaults: true,
+    });
+  });
+
+  it("accepts extra origins and localhost wildcards", () => {
+    const options = buildOriginOptions({
+      allow: ["https://stocks.example.com", "http://localhost:*"],
+      includeDefaults: false,
+    });
+    assert.deepStrictEqual(options.allow, [
+      "https://stocks.example.com",
+      "http://localhost:*",
+    ]);
+    assert.strictEqual(options.includeDefaults, false);
+  });
+
+  it("reports every invalid origin", () => {
+    assert.throws(
+      () =>
+        buildOriginOptions({
+          allow: ["example.com", "https://example.com:*"],
+          extra: 1,
+        }),
+      (err) => {
+        assert.match(err.message, /origins\.allow\[0\]/);
+        assert.match(err.message, /origins\.allow\[1\].*localhost/);
+        assert.match(err.message, /origins\.extra: unknown field/);
+        return true;
+      },
+    );
+  });
+});
+
+describe("loadConfig", () => {
+  const testDir = path.join(os.tmpdir(), "ai-stocks-config-test-" + Date.now());
+  const file = path.join(testDir, "bridge.config.json");
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("falls back to defaults when the file is missing", () => {
+    const config = loadConfig(file);
+    assert.strictEqual(config.loaded, false);
+    assert.ok(config.clis.gemini);
+  });
+
+  it("loads CLI overrides from the file", () => {
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ clis: { llm: { cmd: "llm", args: ["-m", "gpt-4o"] } } }),
+    );
+    const config = loadConfig(file);
+    assert.strictEqual(config.loaded, true);
+    assert.strictEqual(config.clis.llm.cmd, "llm");
+  });
+
+  it("names the file in JSON syntax errors", () => {
+    fs.writeFileSync(file, "{ nope");
+    assert.throws(() => loadConfig(file), {
+      message: new RegExp(`Invalid JSON in config .*bridge\\.config\\.json`),
+    });
+  });
+
+  it("collects errors from every section", () => {
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ clis: { x: {} }, cache: { maxEntries: 0 } }),
+    );
+    assert.throws(() => loadConfig(file), (err) => {
+      assert.match(err.message, /clis\.x\.cmd/);
+      assert.match(err.message, /cache\.maxEntries/);
+      return true;
+    });
+  });
+
+  it("rejects unknown sections", () => {
+    fs.writeFileSync(file, JSON.stringify({ cliz: {} }));
+    assert.throws(() => loadConfig(file), { message: /unknown section/ });
+  });
+});
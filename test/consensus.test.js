@@ -0,0 +1,135 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  extractStance,
+  extractTarget,
+  buildConsensus,
+  judgePrompt,
+  parseConsensusOptions,
+} = require("../consensus");
+
+const ok = (cli, output, extra = {}) => ({ cli, output, success: true, ...extra });
+
+describe("extractStance", () => {
+  it("prefers a labelled recommendation", () => {
+    assert.strictEqual(
+      extractStance("Some would sell here.\nRecommendation: **Hold**"),
+      "hold",
+    );
+    assert.strictEqual(extractStance("評等：買進，目標價 1200"), "buy");
+  });
+
+  it("reads analyst wording", () => {
+    assert.strictEqual(extractStance("We rate TSLA overweight."), "buy");
+    assert.strictEqual(extractStance("Outlook is bearish."), "sell");
+    assert.strictEqual(extractStance("建議觀望"), "hold");
+  });
+
+  it("returns null for mixed or missing stances", () => {
+    assert.strictEqual(extractStance("Buy the dip or sell the rally?"), null);
+    assert.strictEqual(extractStance("Revenue grew 12% year over year."), null);
+  });
+
+  it("matches English words whole", () => {
+    assert.strictEqual(extractStance("Household spending rose."), null);
+  });
+});
+
+describe("extractTarget", () => {
+  it("reads single targets and ranges", () => {
+    assert.strictEqual(extractTarget("Price target: $1,250.50"), 1250.5);
+    assert.strictEqual(extractTarget("target price of $240 to $260"), 250);
+    assert.strictEqual(extractTarget("目標價 NT$1,100"), 1100);
+  });
+
+  it("returns null without a target", () => {
+    assert.strictEqual(extractTarget("Trading at $250 today."), null);
+  });
+});
+
+describe("buildConsensus", () => {
+  it("computes the majority stance, agreement and target spread", () => {
+    const consensus = buildConsensus([
+      ok("claude", "Recommendation: Buy. Price target $300"),
+      ok("gemini", "Rating: buy, target: 260"),
+      ok("codex", "Rating: hold"),
+      { cli: "other", success: false, error: "Timeout" },
+    ]);
+    assert.deepStrictEqual(consensus, {
+      responded: 3,
+      stances: { claude: "buy", gemini: "buy", codex: "hold" },
+      counts: { buy: 2, hold: 1, sell: 0 },
+      stance: "buy",
+      agreement: 0.67,
+      targets: { claude: 300, gemini: 260 },
+      target: { median: 280, low: 260, high: 300, spread: 0.143 },
+    });
+  });
+
+  it("reports a tie as no stance", () => {
+    const consensus = buildConsensus([
+      ok("claude", "Rating: buy"),
+      ok("gemini", "Rating: sell"),
+    ]);
+    assert.strictEqual(consensus.stance, null);
+    assert.strictEqual(consensus.agreement, 0.5);
+    assert.strictEqual(consensus.target, null);
+  });
+
+  it("reads JSON-mode fields before the text", () => {
+    const data = { rating: "Sell", priceTarget: { low: 90, high: 110 } };
+    const consensus = buildConsensus([
+      ok("claude", JSON.stringify(data), {
+        format: "json",
+        validation: { valid: true, errors: [] },
+      }),
+    ]);
+    assert.deepStrictEqual(consensus.stances, { claude: "sell" });
+    assert.deepStrictEqual(consensus.targets, { claude: 100 });
+  });
+});
+
+describe("judgePrompt", () => {
+  it("includes the question and every successful answer", () => {
+    const prompt = judgePrompt("Analyze TSLA", [
+      ok("claude", "Buy"),
+      ok("gemini", "Hold"),
+      { cli: "codex", success: false, error: "Timeout" },
+    ]);
+    assert.ok(prompt.includes("Question:\nAnalyze TSLA"));
+    assert.ok(prompt.includes("Answer from claude:\nBuy"));
+    assert.ok(prompt.includes("Answer from gemini:\nHold"));
+    assert.ok(!prompt.includes("codex"));
+  });
+
+  it("shortens answers to fit the length limit", () => {
+    const long = "x".repeat(5000);
+    const prompt = judgePrompt("Q", [ok("claude", long), ok("gemini", long)], 1000);
+    assert.ok(prompt.length <= 1000);
+    assert.ok(prompt.includes("Answer from gemini:"));
+    assert.ok(prompt.includes("…"));
+  });
+});
+
+describe("parseConsensusOptions", () => {
+  const registry = { claude: {}, gemini: {} };
+
+  it("accepts true, false and a judge", () => {
+    assert.strictEqual(parseConsensusOptions(undefined, registry), null);
+    assert.strictEqual(parseConsensusOptions(false, registry), null);
+    assert.deepStrictEqual(parseConsensusOptions(true, registry), { judge: null });
+    assert.deepStrictEqual(parseConsensusOptions({ judge: "claude" }, registry), {
+      judge: "claude",
+    });
+  });
+
+  it("rejects anything else", () => {
+    assert.throws(() => parseConsensusOptions("yes", registry), /consensus must be/);
+    assert.throws(
+      () => parseConsensusOptions({ judge: "toString" }, registry),
+      /Unknown judge CLI/,
+    );
+  });
+});
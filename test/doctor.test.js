@@ -0,0 +1,186 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const { checkSetup, diagnoseCli, formatReport } = require("../doctor");
+
+describe("Doctor setup checks", () => {
+  let dir;
+  let tokenFile;
+  const registry = { claude: { cmd: "claude" }, gemini: { cmd: "gemini" } };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-stocks-doctor-"));
+    tokenFile = path.join(dir, "bridge.token");
+    fs.writeFileSync(tokenFile, "t\n", { mode: 0o600 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (overrides = {}) =>
+    checkSetup({
+      config: { file: "/x/bridge.config.json", loaded: false },
+      tokenFile,
+      dirs: [dir],
+      registry,
+      paths: { claude: "/usr/bin/claude", gemini: null },
+      ...overrides,
+    });
+  const find = (checks, name) => checks.find((c) => c.name === name);
+
+  it("passes a working setup", () => {
+    const checks = run();
+    assert.strictEqual(find(checks, "node").status, "ok");
+    assert.match(find(checks, "config").detail, /using defaults/);
+    assert.strictEqual(find(checks, "token").status, "ok");
+    assert.strictEqual(find(checks, `dir ${dir}`).status, "ok");
+    assert.ok(!checks.some((c) => c.status !== "ok"));
+  });
+
+  it("fails when no CLI is installed", () => {
+    const checks = run({ paths: { claude: null, gemini: null } });
+    assert.strictEqual(find(checks, "clis").status, "fail");
+  });
+
+  it("fails on an old Node.js version", () => {
+    const checks = run({ nodeVersion: "16.20.0" });
+    assert.strictEqual(find(checks, "node").status, "fail");
+  });
+
+  it("fails on a missing data directory", () => {
+    const missing = path.join(dir, "nope");
+    const checks = run({ dirs: [missing] });
+    assert.strictEqual(find(checks, `dir ${missing}`).status, "fail");
+  });
+
+  it(
+    "warns about a token file other users can read",
+    { skip: process.platform === "win32" },
+    () => {
+      fs.chmodSync(tokenFile, 0o644);
+      const token = find(run(), "token");
+      assert.strictEqual(token.status, "warn");
+      assert.match(token.hint, /chmod 600/);
+    },
+  );
+
+  it("formats one line per check with hints for problems", () => {
+    const report = formatReport(run({ paths: {} }));
+    assert.match(report, /\[ok {2}\] node: v/);
+    assert.match(report, /\[FAIL\] clis: No CLI is installed/);
+    assert.match(report, /\n {7}Install at least one of: claude, gemini/);
+  });
+});
+
+describe("Doctor CLI diagnosis", () => {
+  let home;
+  const env = { PATH: "/usr/bin", HOME: "/home/u" };
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "ai-stocks-home-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  // exec stub: `--version` succeeds only under environments `works` accepts
+  const execWhen = (works) => async (file, args, probeEnv) =>
+    works(probeEnv)
+      ? { ok: true, stdout: "1.2.3 (Claude Code)\n", stderr: "", error: null }
+      : { ok: false, stdout: "", stderr: "", error: "missing NODE_OPTIONS" };
+
+  const diagnose = (overrides = {}) =>
+    diagnoseCli({
+      name: "claude",
+      info: { cmd: "claude" },
+      path: "/usr/bin/claude",
+      env,
+      fullEnv: { ...env, ANTHROPIC_API_KEY: "sk-x" },
+      homeDir: home,
+      exec: execWhen(() => true),
+      ...overrides,
+    });
+  const check = (result, name) => result.checks.find((c) => c.name === name);
+
+  it("reports path, version and sanitized-env success", async () => {
+    fs.writeFileSync(path.join(home, ".claude.json"), "{}");
+    const result = await diagnose();
+    assert.strictEqual(result.status, "ok");
+    assert.strictEqual(result.path, "/usr/bin/claude");
+    assert.strictEqual(result.version, "1.2.3 (Claude Code)");
+    assert.strictEqual(check(result, "env").status, "ok");
+    assert.strictEqual(check(result, "auth").detail, "~/.claude.json");
+  });
+
+  it("fails the env check when only the full environment works", async () => {
+    const result = await diagnose({
+      exec: execWhen((probeEnv) => "ANTHROPIC_API_KEY" in probeEnv),
+    });
+    assert.strictEqual(result.status, "fail");
+    assert.strictEqual(check(result, "version").status, "ok");
+    assert.match(check(result, "env").detail, /missing NODE_OPTIONS/);
+    assert.match(check(result, "env").hint, /PATH, HOME/);
+  });
+
+  it("fails the version check when the CLI never runs", async () => {
+    const result = await diagnose({ exec: execWhen(() => false) });
+    assert.strictEqual(check(result, "version").status, "fail");
+    assert.strictEqual(check(result, "env"), undefined);
+  });
+
+  it("points out API keys the bridge strips", async () => {
+    const auth = check(await diagnose(), "auth");
+    assert.strictEqual(auth.status, "warn");
+    assert.match(auth.detail, /ANTHROPIC_API_KEY is set/);
+    assert.match(auth.hint, /log in/);
+  });
+
+  it("skips the login check for unknown CLIs", async () => {
+    const result = await diagnose({ name: "ollama", info: { cmd: "ollama" } });
+    assert.strictEqual(check(result, "auth").status, "skip");
+    assert.strictEqual(result.status, "ok");
+  });
+
+  it("warns about a CLI that is not installed", async () => {
+    const result = await diagnose({ path: null });
+    assert.strictEqual(result.status, "warn");
+    assert.deepStrictEqual(result.checks.map((c) => c.name), ["path"]);
+  });
+
+  it("runs the round-trip when asked", async () => {
+    fs.writeFileSync(path.join(home, ".claude.json"), "{}");
+    const ok = await diagnose({
+      roundTrip: async () => ({ success: true, output: " OK\n", elapsed: 1.5 }),
+    });
+    assert.strictEqual(check(ok, "round-trip").detail, '1.5s: "OK"');
+    const failed = await diagnose({
+      roundTrip: async () => ({ success: false, error: "Timeout after 120s" }),
+    });
+    assert.strictEqual(failed.status, "fail");
+    assert.match(check(failed, "round-trip").hint, /test-cli claude/);
+    assert.strictEqual(check(await diagnose(), "round-trip"), undefined);
+  });
+
+  it(
+    "probes a real executable",
+    { skip: process.platform === "win32" },
+    async () => {
+      const result = await diagnoseCli({
+        name: "node",
+        info: { cmd: "node" },
+        path: process.execPath,
+        env: { PATH: process.env.PATH },
+        fullEnv: process.env,
+        homeDir: home,
+      });
+      assert.strictEqual(result.version, process.version);
+      assert.strictEqual(check(result, "env").status, "ok");
+    },
+  );
+});
@@ -0,0 +1,133 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createJobQueue } = require("../job-queue");
+
+// A task that stays running until released (or aborted)
+function deferredTask() {
+  let release;
+  const task = (signal) =>
+    new Promise((resolve) => {
+      release = resolve;
+      signal.addEventListener("abort", () =>
+        resolve({ success: false, error: "aborted" }),
+      );
+    });
+  return { task, release: (v) => release(v) };
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+describe("Job queue", () => {
+  it("runs a job and exposes its result", async () => {
+    const queue = createJobQueue();
+    const job = queue.submit("gemini", async () => ({ success: true }));
+    assert.strictEqual(job.status, "running");
+    const result = await queue.wait(job.id);
+    assert.deepStrictEqual(result, { success: true });
+    assert.strictEqual(queue.get(job.id).status, "done");
+  });
+
+  it("tags jobs with their owner", async () => {
+    const queue = createJobQueue();
+    const owned = queue.submit("gemini", async () => ({}), { owner: "c1" });
+    const plain = queue.submit("gemini", async () => ({}));
+    assert.strictEqual(owned.owner, "c1");
+    assert.strictEqual(queue.get(owned.id).owner, "c1");
+    assert.strictEqual(plain.owner, null);
+  });
+
+  it("queues beyond maxConcurrent and reports FIFO positions", async () => {
+    const queue = createJobQueue({ maxConcurrent: 1 });
+    const first = deferredTask();
+    const a = queue.submit("claude", first.task);
+    const b = queue.submit("claude", async () => ({ success: true }));
+    const c = queue.submit("claude", async () => ({ success: true }));
+    assert.strictEqual(queue.get(a.id).status, "running");
+    assert.strictEqual(queue.get(b.id).position, 1);
+    assert.strictEqual(queue.get(c.id).position, 2);
+    assert.deepStrictEqual(queue.stats(), { running: 1, queued: 2 });
+
+    first.release({ success: true });
+    await queue.wait(c.id);
+    assert.strictEqual(queue.get(b.id).status, "done");
+    assert.strictEqual(queue.get(c.id).status, "done");
+  });
+
+  it("applies per-key limits without blocking other keys", async () => {
+    const queue = createJobQueue({
+      maxConcurrent: 5,
+      limitFor: (key) => (key === "codex" ? 1 : Infinity),
+    });
+    const slow = deferredTask();
+    queue.submit("codex", slow.task);
+    const blocked = queue.submit("codex", async () => ({ success: true }));
+    const other = queue.submit("gemini", async () => ({ success: true }));
+    assert.strictEqual(blocked.status, "queued");
+    assert.strictEqual(other.status, "running");
+    slow.release({ success: true });
+    await queue.wait(blocked.id);
+    assert.strictEqual(queue.get(blocked.id).status, "done");
+  });
+
+  it("cancels a queued job without running it", async () => {
+    const queue = createJobQueue({ maxConcurrent: 1 });
+    const first = deferredTask();
+    queue.submit("claude", first.task);
+    let ran = false;
+    const queued = queue.submit("claude", async () => {
+      ran = true;
+      return { success: true };
+    });
+    assert.strictEqual(queue.cancel(queued.id), true);
+    assert.strictEqual(queue.get(queued.id).status, "cancelled");
+    first.release({ success: true });
+    await tick();
+    assert.strictEqual(ran, false);
+  });
+
+  it("aborts a running job and frees the slot once it settles", async () => {
+    const queue = createJobQueue({ maxConcurrent: 1 });
+    const first = deferredTask();
+    const a = queue.submit("claude", first.task);
+    const b = queue.submit("claude", async () => ({ success: true }));
+    assert.strictEqual(queue.cancel(a.id), true);
+    assert.strictEqual(queue.get(a.id).status, "cancelled");
+    await queue.wait(b.id);
+    assert.strictEqual(queue.get(b.id).status, "done");
+  });
+
+  it("refuses to cancel finished or unknown jobs", async () => {
+    const queue = createJobQueue();
+    const job = queue.submit("gemini", async () => ({ success: true }));
+    await queue.wait(job.id);
+    assert.strictEqual(queue.cancel(job.id), false);
+    assert.strictEqual(queue.cancel("nope"), false);
+  });
+
+  it("throws when the queue is full", () => {
+    const queue = createJobQueue({ maxConcurrent: 1, maxQueued: 1 });
+    queue.submit("claude", deferredTask().task);
+    queue.submit("claude", deferredTask().task);
+    assert.throws(() => queue.submit("claude", deferredTask().task), {
+      message: /queue is full/,
+    });
+  });
+
+  it("turns task exceptions into failed results", async () => {
+    const queue = createJobQueue();
+    const job = queue.submit("gemini", async () => {
+      throw new Error("boom");
+    });
+    const result = await queue.wait(job.id);
+    assert.deepStrictEqual(result, { success: false, error: "boom" });
+  });
+
+  it("forgets finished jobs after the retention period", async () => {
+    const queue = createJobQueue({ retentionMs: 10 });
+    const job = queue.submit("gemini", async () => ({ success: true }));
+    await queue.wait(job.id);
+    await new Promise((r) => setTimeout(r, 30));
+    assert.strictEqual(queue.get(job.id), null);
+  });
+});
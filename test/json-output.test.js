@@ -0,0 +1,158 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkSchema,
+  validateSchema,
+  extractJson,
+  parseStructured,
+} = require("../json-output");
+
+const ANALYSIS = {
+  type: "object",
+  required: ["ticker", "rating", "risks"],
+  additionalProperties: false,
+  properties: {
+    ticker: { type: "string", minLength: 1 },
+    rating: { enum: ["buy", "hold", "sell"] },
+    priceTarget: { type: "number", minimum: 0 },
+    risks: { type: "array", items: { type: "string" }, maxItems: 3 },
+    summary: { type: ["string", "null"] },
+  },
+};
+
+describe("checkSchema", () => {
+  it("accepts the supported subset", () => {
+    assert.doesNotThrow(() => checkSchema(ANALYSIS));
+  });
+
+  it("rejects unsupported keywords and malformed values with their location", () => {
+    assert.throws(() => checkSchema(undefined), /schema must be an object/);
+    assert.throws(
+      () => checkSchema({ properties: { a: { $ref: "#/x" } } }),
+      /schema\.properties\.a: unsupported keyword "\$ref"/,
+    );
+    assert.throws(() => checkSchema({ type: "date" }), /unknown type "date"/);
+    assert.throws(() => checkSchema({ required: "a" }), /required/);
+    assert.throws(() => checkSchema({ enum: [] }), /enum/);
+    assert.throws(() => checkSchema({ minimum: "0" }), /minimum/);
+  });
+
+  it("limits nesting", () => {
+    let schema = { type: "string" };
+    for (let i = 0; i < 10; i++) schema = { items: schema };
+    assert.throws(() => checkSchema(schema), /nested too deeply/);
+  });
+});
+
+describe("validateSchema", () => {
+  it("returns no errors for a valid value", () => {
+    const value = {
+      ticker: "TSLA",
+      rating: "hold",
+      priceTarget: 250,
+      risks: ["valuation"],
+      summary: null,
+    };
+    assert.deepStrictEqual(validateSchema(value, ANALYSIS), []);
+  });
+
+  it("reports each problem with a path and keyword", () => {
+    const value = {
+      ticker: "",
+      rating: "strong buy",
+      priceTarget: -1,
+      risks: ["a", 2, "c", "d"],
+      extra: true,
+    };
+    const errors = validateSchema(value, ANALYSIS);
+    assert.deepStrictEqual(
+      errors.map((e) => `${e.path} ${e.keyword}`).sort(),
+      [
+        "$ additionalProperties",
+        "$.priceTarget minimum",
+        "$.rating enum",
+        "$.risks maxItems",
+        "$.risks[1] type",
+        "$.ticker minLength",
+      ],
+    );
+  });
+
+  it("reports missing required properties", () => {
+    const errors = validateSchema({ ticker: "TSLA" }, ANALYSIS);
+    assert.deepStrictEqual(
+      errors.map((e) => e.path),
+      ["$.rating", "$.risks"],
+    );
+    assert.ok(errors.every((e) => e.keyword === "required"));
+  });
+
+  it("never names properties outside the schema", () => {
+    const value = {
+      ticker: "TSLA",
+      rating: "buy",
+      risks: [],
+      "sk-live-1234": 1,
+      "card 4111": 2,
+    };
+    const errors = validateSchema(value, ANALYSIS);
+    assert.deepStrictEqual(errors, [
+      {
+        path: "$",
+        keyword: "additionalProperties",
+        message: "has 2 properties not in the schema",
+      },
+    ]);
+  });
+
+  it("distinguishes integer from number", () => {
+    assert.strictEqual(validateSchema(1.5, { type: "integer" }).length, 1);
+    assert.strictEqual(validateSchema(2, { type: "integer" }).length, 0);
+    assert.strictEqual(validateSchema(1.5, { type: "number" }).length, 0);
+  });
+});
+
+describe("extractJson", () => {
+  it("parses bare JSON", () => {
+    assert.deepStrictEqual(extractJson(' {"a": 1} '), { value: { a: 1 } });
+  });
+
+  it("parses a fenced block", () => {
+    const text = 'Here you go:\n```json\n{"a": [1, 2]}\n```\nDone.';
+    assert.deepStrictEqual(extractJson(text), { value: { a: [1, 2] } });
+  });
+
+  it("finds JSON embedded in prose, skipping braces inside strings", () => {
+    const text = 'Analysis {draft} follows: {"note": "use } carefully", "n": 1} end';
+    assert.deepStrictEqual(extractJson(text), {
+      value: { note: "use } carefully", n: 1 },
+    });
+  });
+
+  it("reports output without JSON", () => {
+    assert.deepStrictEqual(extractJson("此請求超出分析範圍。"), {
+      error: "No JSON found in the output",
+    });
+    assert.ok(extractJson('{"a": ').error);
+  });
+});
+
+describe("parseStructured", () => {
+  it("returns data with a validation report", () => {
+    const { data, validation } = parseStructured(
+      '{"ticker": "TSLA", "rating": "buy", "risks": []}',
+      ANALYSIS,
+    );
+    assert.strictEqual(data.ticker, "TSLA");
+    assert.deepStrictEqual(validation, { valid: true, errors: [] });
+  });
+
+  it("reports a parse failure as a typed error", () => {
+    const { data, validation } = parseStructured("no json here", ANALYSIS);
+    assert.strictEqual(data, undefined);
+    assert.strictEqual(validation.valid, false);
+    assert.strictEqual(validation.errors[0].keyword, "parse");
+  });
+});
@@ -0,0 +1,47 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createLogger } = require("../log");
+
+function capture(level) {
+  const out = [];
+  const err = [];
+  const logger = createLogger({
+    level,
+    output: { log: (m) => out.push(m), error: (m) => err.push(m) },
+  });
+  return { logger, out, err };
+}
+
+describe("Logger", () => {
+  it("logs info and above by default", () => {
+    const { logger, out, err } = capture();
+    logger.debug("d");
+    logger.info("i");
+    logger.warn("w");
+    logger.error("e");
+    assert.deepStrictEqual(out, ["i"]);
+    assert.deepStrictEqual(err, ["w", "e"]);
+  });
+
+  it("drops everything below the level", () => {
+    const { logger, out, err } = capture("error");
+    logger.info("i");
+    logger.warn("w");
+    logger.error("e");
+    assert.deepStrictEqual(out, []);
+    assert.deepStrictEqual(err, ["e"]);
+  });
+
+  it("includes debug at the debug level", () => {
+    const { logger, out } = capture("debug");
+    logger.debug("d");
+    assert.deepStrictEqual(out, ["d"]);
+    assert.strictEqual(logger.level, "debug");
+  });
+
+  it("rejects unknown levels", () => {
+    assert.throws(() => createLogger({ level: "loud" }), /Unknown log level/);
+  });
+});
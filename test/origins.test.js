@@ -0,0 +1,79 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createOriginPolicy, parseOriginPattern } = require("../origins");
+
+describe("parseOriginPattern", () => {
+  it("parses exact origins and drops default ports", () => {
+    assert.deepStrictEqual(parseOriginPattern("https://Example.com:443/"), {
+      scheme: "https",
+      host: "example.com",
+      port: null,
+    });
+    assert.strictEqual(parseOriginPattern("http://localhost:5173").port, "5173");
+  });
+
+  it("allows wildcard ports only on loopback hosts", () => {
+    assert.strictEqual(parseOriginPattern("http://localhost:*").port, "*");
+    assert.strictEqual(parseOriginPattern("http://127.0.0.1:*").port, "*");
+    assert.throws(() => parseOriginPattern("https://example.com:*"), /localhost/);
+  });
+
+  it("rejects anything that is not an origin", () => {
+    for (const bad of [
+      "example.com",
+      "ftp://example.com",
+      "https://example.com/app",
+      "https://*.example.com",
+      "http://localhost:99999",
+      "",
+      null,
+    ]) {
+      assert.throws(() => parseOriginPattern(bad), /Invalid origin/, String(bad));
+    }
+  });
+});
+
+describe("createOriginPolicy", () => {
+  const policy = createOriginPolicy([
+    "https://trilo.tw",
+    "https://stocks.example.com:8443",
+    "http://localhost:*",
+  ]);
+
+  it("matches exact origins", () => {
+    assert.strictEqual(policy.isAllowed("https://trilo.tw"), true);
+    assert.strictEqual(policy.isAllowed("https://stocks.example.com:8443"), true);
+    assert.strictEqual(policy.isAllowed("https://stocks.example.com"), false);
+    assert.strictEqual(policy.isAllowed("http://trilo.tw"), false);
+  });
+
+  it("matches any port for a localhost wildcard", () => {
+    assert.strictEqual(policy.isAllowed("http://localhost:3000"), true);
+    assert.strictEqual(policy.isAllowed("http://localhost"), true);
+    assert.strictEqual(policy.isAllowed("https://localhost:3000"), false);
+    assert.strictEqual(policy.isAllowed("http://127.0.0.1:3000"), false);
+  });
+
+  it("rejects missing and opaque origins", () => {
+    assert.strictEqual(policy.isAllowed(undefined), false);
+    assert.strictEqual(policy.isAllowed("null"), false);
+    assert.strictEqual(policy.isAllowed("http://localhost:*"), false);
+  });
+
+  it("lists normalized patterns", () => {
+    assert.deepStrictEqual(policy.list(), [
+      "https://trilo.tw",
+      "https://stocks.example.com:8443",
+      "http://localhost:*",
+    ]);
+  });
+
+  it("names the invalid pattern", () => {
+    assert.throws(
+      () => createOriginPolicy(["https://ok.example", "nope"]),
+      /Invalid origin "nope"/,
+    );
+  });
+});
@@ -0,0 +1,87 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPairing } = require("../pairing");
+
+const ORIGIN = "https://trilo.tw";
+
+describe("Pairing", () => {
+  it("issues a six-digit code", () => {
+    const { id, code, expiresAt } = createPairing().start(ORIGIN);
+    assert.ok(id);
+    assert.match(code, /^\d{6}$/);
+    assert.ok(expiresAt > Date.now());
+  });
+
+  it("confirms the right code once", () => {
+    const pairing = createPairing();
+    const { id, code } = pairing.start(ORIGIN);
+    assert.deepStrictEqual(pairing.confirm(id, code, ORIGIN), { ok: true });
+    assert.strictEqual(pairing.confirm(id, code, ORIGIN).ok, false);
+  });
+
+  it("accepts a code typed with spaces", () => {
+    const pairing = createPairing();
+    const { id, code } = pairing.start(ORIGIN);
+    const spaced = `${code.slice(0, 3)} ${code.slice(3)}`;
+    assert.strictEqual(pairing.confirm(id, spaced, ORIGIN).ok, true);
+  });
+
+  it("rejects a wrong code", () => {
+    const pairing = createPairing();
+    const { id, code } = pairing.start(ORIGIN);
+    const wrong = code === "000000" ? "111111" : "000000";
+    const outcome = pairing.confirm(id, wrong, ORIGIN);
+    assert.strictEqual(outcome.ok, false);
+    assert.match(outcome.error, /Wrong/);
+  });
+
+  it("rejects a code with multibyte characters", () => {
+    const pairing = createPairing();
+    const { id, code } = pairing.start(ORIGIN);
+    const outcome = pairing.confirm(id, "12345é", ORIGIN);
+    assert.strictEqual(outcome.ok, false);
+    assert.match(outcome.error, /Wrong/);
+    assert.strictEqual(pairing.confirm(id, code, ORIGIN).ok, true);
+  });
+
+  it("rejects confirmation from another origin", () => {
+    const pairing = createPairing();
+    const { id, code } = pairing.start(ORIGIN);
+    assert.strictEqual(pairing.confirm(id, code, "https://evil.com").ok, false);
+    assert.strictEqual(pairing.confirm(id, code, ORIGIN).ok, true);
+  });
+
+  it("drops the pairing after too many wrong codes", () => {
+    const pairing = createPairing({ maxAttempts: 2 });
+    const { id, code } = pairing.start(ORIGIN);
+    const wrong = code === "000000" ? "111111" : "000000";
+    pairing.confirm(id, wrong, ORIGIN);
+    pairing.confirm(id, wrong, ORIGIN);
+    const outcome = pairing.confirm(id, code, ORIGIN);
+    assert.strictEqual(outcome.ok, false);
+    assert.match(outcome.error, /Unknown or expired/);
+  });
+
+  it("expires codes after the TTL", async () => {
+    const pairing = createPairing({ ttlMs: 20 });
+    const { id, code } = pairing.start(ORIGIN);
+    await new Promise((r) => setTimeout(r, 40));
+    assert.strictEqual(pairing.confirm(id, code, ORIGIN).ok, false);
+  });
+
+  it("replaces an earlier pairing from the same origin", () => {
+    const pairing = createPairing();
+    const first = pairing.start(ORIGIN);
+    const second = pairing.start(ORIGIN);
+    assert.strictEqual(pairing.confirm(first.id, first.code, ORIGIN).ok, false);
+    assert.strictEqual(pairing.confirm(second.id, second.code, ORIGIN).ok, true);
+  });
+
+  it("rejects missing input", () => {
+    const pairing = createPairing();
+    pairing.start(ORIGIN);
+    assert.strictEqual(pairing.confirm(undefined, undefined, ORIGIN).ok, false);
+  });
+});
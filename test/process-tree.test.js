@@ -0,0 +1,45 @@
+"use strict";
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const { spawn } = require("node:child_process");
+const { killTree, TREE_SPAWN_OPTIONS } = require("../process-tree");
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  // A killed orphan may linger as a zombie until init reaps it
+  try {
+    return !/\) Z /.test(fs.readFileSync(`/proc/${pid}/stat`, "utf-8"));
+  } catch {
+    return true;
+  }
+}
+
+describe("killTree", { skip: process.platform === "win32" }, () => {
+  it("kills the child and its descendants", async () => {
+    // Shell prints the pid of a background grandchild, then waits on it
+    const child = spawn("sh", ["-c", "sleep 30 & echo $!; wait"], {
+      ...TREE_SPAWN_OPTIONS,
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    const grandchild = await new Promise((resolve) => {
+      child.stdout.once("data", (d) => resolve(parseInt(d.toString(), 10)));
+    });
+    assert.ok(isAlive(grandchild));
+
+    const exited = new Promise((resolve) => child.on("exit", resolve));
+    killTree(child, { graceMs: 100 });
+    await exited;
+    await new Promise((r) => setTimeout(r, 200));
+    assert.strictEqual(isAlive(grandchild), false);
+  });
+
+  it("ignores children that were never started", () => {
+    assert.doesNotThrow(() => killTree({ pid: undefined }));
+    assert.doesNotThrow(() => killTree(null));
+  });
+});
@@ -1,7 +1,13 @@
 "use strict";
-const { describe, it, beforeEach } = require("node:test");
+const { describe, it, beforeEach, afterEach } = require("node:test");
 const assert = require("node:assert/strict");
-const { createRateLimiter } = require("../rate-limiter");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const {
+  createRateLimiter,
+  createRateLimitStore,
+} = require("../rate-limiter");
 
 describe("Token Bucket Rate Limiter", () => {
   let limiter;
@@ -43,4 +49,129 @@ describe("Token Bucket Rate Limiter", () => {
     limiter.tryConsume();
     assert.strictEqual(limiter.remaining(), 4);
   });
+
+  it("consumes several tokens all or nothing", () => {
+    assert.strictEqual(limiter.tryConsume(3), true);
+    assert.strictEqual(limiter.tryConsume(3), false);
+    assert.strictEqual(limiter.remaining(), 2);
+    assert.strictEqual(limiter.tryConsume(0), true);
+    assert.strictEqual(limiter.tryConsume(2), true);
+    assert.strictEqual(limiter.remaining(), 0);
+  });
+
+  it("refunds tokens without exceeding capacity", () => {
+    limiter.tryConsume();
+    limiter.tryConsume();
+    limiter.refund();
+    assert.strictEqual(limiter.remaining(), 4);
+    limiter.refund(10);
+    assert.strictEqual(limiter.remaining(), 5);
+  });
+
+  it("computes the wait until enough tokens have refilled", () => {
+    const slow = createRateLimiter({ capacity: 3, refillIntervalMs: 60_000 });
+    assert.strictEqual(slow.retryAfterMs(), 0);
+    slow.tryConsume(3);
+    const next = slow.retryAfterMs();
+    assert.ok(next > 59_000 && next <= 60_000, `${next}`);
+    const two = slow.retryAfterMs(2);
+    assert.ok(two > 119_000 && two <= 120_000, `${two}`);
+    assert.ok(slow.resetMs() > 179_000 && slow.resetMs() <= 180_000);
+    assert.strictEqual(slow.retryAfterMs(4), Infinity);
+  });
+
+  it("continues from a saved state", () => {
+    const saved = createRateLimiter({ capacity: 5, refillIntervalMs: 60_000 });
+    saved.tryConsume(4);
+    const restored = createRateLimiter({
+      capacity: 5,
+      refillIntervalMs: 60_000,
+      state: saved.snapshot(),
+    });
+    assert.strictEqual(restored.remaining(), 1);
+    const smaller = createRateLimiter({
+      capacity: 3,
+      state: { tokens: 5, lastRefill: Date.now() },
+    });
+    assert.strictEqual(smaller.remaining(), 3);
+  });
+});
+
+describe("Rate limit store", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-stocks-limits-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const defaults = { capacity: 5, refillIntervalMs: 60_000 };
+
+  it("keeps a separate bucket per key", () => {
+    const store = createRateLimitStore({ dir, defaults });
+    assert.strictEqual(store.get("owner").tryConsume(5), true);
+    assert.strictEqual(store.get("owner").tryConsume(), false);
+    assert.strictEqual(store.get("cli:codex").remaining(), 5);
+    const client = store.get("client:a", { capacity: 2 });
+    assert.strictEqual(client.capacity, 2);
+    assert.strictEqual(client.remaining(), 2);
+  });
+
+  it("carries quotas across restarts", () => {
+    const before = createRateLimitStore({ dir, defaults });
+    before.get("owner").tryConsume(4);
+    before.get("cli:codex").tryConsume(2);
+    before.get("cli:codex").refund(2);
+    before.flush();
+    assert.strictEqual(fs.statSync(before.getFile()).mode & 0o777, 0o600);
+    // Full buckets are not written
+    const { buckets } = JSON.parse(fs.readFileSync(before.getFile(), "utf-8"));
+    assert.deepStrictEqual(Object.keys(buckets), ["owner"]);
+
+    const after = createRateLimitStore({ dir, defaults });
+    assert.strictEqual(after.get("owner").remaining(), 1);
+    after.get("cli:gemini").tryConsume();
+    after.flush();
+    // Buckets not used since the restart stay in the file
+    const again = createRateLimitStore({ dir, defaults });
+    assert.strictEqual(again.get("owner").remaining(), 1);
+    assert.strictEqual(again.get("cli:gemini").remaining(), 4);
+  });
+
+  it("writes at most once per delay", async () => {
+    const store = createRateLimitStore({ dir, defaults, saveDelayMs: 20 });
+    store.get("owner").tryConsume();
+    store.get("owner").tryConsume();
+    assert.strictEqual(fs.existsSync(store.getFile()), false);
+    await new Promise((r) => setTimeout(r, 50));
+    const { buckets } = JSON.parse(fs.readFileSync(store.getFile(), "utf-8"));
+    assert.strictEqual(buckets.owner.tokens, 3);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["ratelimits.json"]);
+  });
+
+  it("keeps counting when the file cannot be written", () => {
+    const warnings = [];
+    const store = createRateLimitStore({
+      dir,
+      defaults,
+      onWarning: (m) => warnings.push(m),
+    });
+    // A directory where the file should be makes the rename fail
+    fs.mkdirSync(store.getFile());
+    assert.strictEqual(store.get("owner").tryConsume(), true);
+    store.flush();
+    assert.strictEqual(store.get("owner").remaining(), 4);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Could not save/);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["ratelimits.json"]);
+  });
+
+  it("starts full when the file is unreadable", () => {
+    fs.writeFileSync(path.join(dir, "ratelimits.json"), "{not json");
+    const store = createRateLimitStore({ dir, defaults });
+    assert.strictEqual(store.get("owner").remaining(), 5);
+  });
 });
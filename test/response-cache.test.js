@@ -0,0 +1,112 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const { createResponseCache, cacheKey } = require("../response-cache");
+
+describe("cacheKey", () => {
+  it("is stable for identical inputs", () => {
+    const a = cacheKey("gemini", ["-o", "text"], "<user_request>x");
+    const b = cacheKey("gemini", ["-o", "text"], "<user_request>x");
+    assert.strictEqual(a, b);
+    assert.match(a, /^[0-9a-f]{64}$/);
+  });
+
+  it("changes with CLI, args or prompt", () => {
+    const base = cacheKey("gemini", ["-o", "text"], "p");
+    assert.notStrictEqual(base, cacheKey("claude", ["-o", "text"], "p"));
+    assert.notStrictEqual(base, cacheKey("gemini", ["-o", "json"], "p"));
+    assert.notStrictEqual(base, cacheKey("gemini", ["-o", "text"], "q"));
+  });
+});
+
+describe("Response cache", () => {
+  const testDir = path.join(os.tmpdir(), "ai-stocks-cache-test-" + Date.now());
+  const id = cacheKey("gemini", [], "Analyze 2330.TW fundamentals");
+  let cache;
+
+  beforeEach(() => {
+    cache = createResponseCache({ dir: testDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("returns stored output on hit", () => {
+    cache.set(id, { cli: "gemini", output: "TSMC looks strong" });
+    const hit = cache.get(id);
+    assert.strictEqual(hit.output, "TSMC looks strong");
+    assert.strictEqual(hit.cli, "gemini");
+    assert.ok(hit.expiresAt > hit.createdAt);
+  });
+
+  it("returns null on miss", () => {
+    assert.strictEqual(cache.get(id), null);
+    assert.strictEqual(cache.get("../../etc/passwd"), null);
+  });
+
+  it("stores the output encrypted at rest", () => {
+    cache.set(id, { cli: "gemini", output: "TSMC looks strong" });
+    const raw = fs.readFileSync(path.join(testDir, id + ".json"), "utf-8");
+    assert.ok(!raw.includes("TSMC"));
+  });
+
+  it("reuses the cache secret across instances", () => {
+    cache.set(id, { cli: "gemini", output: "hello" });
+    const again = createResponseCache({ dir: testDir });
+    assert.strictEqual(again.get(id).output, "hello");
+  });
+
+  it("expires entries after the TTL", async () => {
+    const shortLived = createResponseCache({ dir: testDir, ttlMs: 10 });
+    shortLived.set(id, { cli: "gemini", output: "hello" });
+    await new Promise((r) => setTimeout(r, 30));
+    assert.strictEqual(shortLived.get(id), null);
+    assert.deepStrictEqual(shortLived.list(), []);
+  });
+
+  it("evicts the oldest entries beyond maxEntries", () => {
+    const small = createResponseCache({ dir: testDir, maxEntries: 2 });
+    const ids = ["a", "b", "c"].map((p) => cacheKey("gemini", [], p));
+    for (const k of ids) small.set(k, { cli: "gemini", output: k });
+    const listed = small.list().map((e) => e.id);
+    assert.strictEqual(listed.length, 2);
+    assert.ok(listed.includes(ids[2]));
+  });
+
+  it("does not read the other entries on every write", (t) => {
+    const small = createResponseCache({ dir: testDir, maxEntries: 2 });
+    const ids = ["a", "b", "c", "d"].map((p) => cacheKey("gemini", [], p));
+    small.set(ids[0], { cli: "gemini", output: "a" });
+    const reads = t.mock.method(fs, "readFileSync");
+    const listings = t.mock.method(fs, "readdirSync");
+    for (const k of ids.slice(1)) small.set(k, { cli: "gemini", output: k });
+    assert.strictEqual(reads.mock.callCount(), 0);
+    assert.strictEqual(listings.mock.callCount(), 0);
+    t.mock.restoreAll();
+    assert.deepStrictEqual(
+      small.list().map((e) => e.id).sort(),
+      ids.slice(2).sort(),
+    );
+  });
+
+  it("lists, deletes and clears entries", () => {
+    cache.set(id, { cli: "gemini", output: "hello" });
+    const other = cacheKey("claude", [], "x");
+    cache.set(other, { cli: "claude", output: "world" });
+
+    const listed = cache.list();
+    assert.strictEqual(listed.length, 2);
+    assert.strictEqual(listed[0].bytes, 5);
+    assert.strictEqual(listed[0].data, undefined);
+
+    assert.strictEqual(cache.delete(id), true);
+    assert.strictEqual(cache.delete(id), false);
+    assert.strictEqual(cache.clear(), 1);
+    assert.deepStrictEqual(cache.list(), []);
+  });
+});
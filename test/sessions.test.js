@@ -0,0 +1,121 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const { createSessionStore, buildTranscript } = require("../sessions");
+
+describe("Session store", () => {
+  const testDir = path.join(os.tmpdir(), "ai-stocks-sessions-test-" + Date.now());
+  let store;
+
+  beforeEach(() => {
+    store = createSessionStore({ dir: testDir, maxTurns: 4 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("creates an empty session", () => {
+    const session = store.create({ owner: "owner", cli: "gemini" });
+    assert.match(session.id, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(session.turnCount, 0);
+    assert.ok(session.expiresAt > session.createdAt);
+    assert.deepStrictEqual(store.get(session.id).turns, []);
+  });
+
+  it("appends turns and keeps only the newest maxTurns", () => {
+    const { id } = store.create({ owner: "owner", cli: "gemini" });
+    for (let i = 1; i <= 3; i++) {
+      store.append(id, [
+        { role: "user", text: `q${i}` },
+        { role: "assistant", cli: "gemini", text: `a${i}` },
+      ]);
+    }
+    const session = store.get(id);
+    assert.deepStrictEqual(
+      session.turns.map((t) => t.text),
+      ["q2", "a2", "q3", "a3"],
+    );
+    assert.strictEqual(session.turnCount, 4);
+    assert.strictEqual(session.droppedTurns, 2);
+  });
+
+  it("stores turns encrypted at rest", () => {
+    const { id } = store.create({ owner: "owner", cli: "gemini" });
+    store.append(id, [{ role: "user", text: "TSMC dividend history" }]);
+    const raw = fs.readFileSync(path.join(testDir, id + ".json"), "utf-8");
+    assert.ok(!raw.includes("TSMC"));
+    const again = createSessionStore({ dir: testDir });
+    assert.strictEqual(again.get(id).turns[0].text, "TSMC dividend history");
+  });
+
+  it("expires idle sessions", async () => {
+    const short = createSessionStore({ dir: testDir, idleTtlMs: 20 });
+    const { id } = short.create({ owner: "owner", cli: "gemini" });
+    await new Promise((r) => setTimeout(r, 40));
+    assert.strictEqual(short.get(id), null);
+    assert.strictEqual(short.append(id, [{ role: "user", text: "x" }]), null);
+    assert.ok(!fs.existsSync(path.join(testDir, id + ".json")));
+  });
+
+  it("evicts the least recently used sessions beyond maxSessions", async () => {
+    const small = createSessionStore({ dir: testDir, maxSessions: 2 });
+    const a = small.create({ owner: "owner", cli: "gemini" });
+    await new Promise((r) => setTimeout(r, 5));
+    const b = small.create({ owner: "owner", cli: "gemini" });
+    await new Promise((r) => setTimeout(r, 5));
+    small.append(a.id, [{ role: "user", text: "keep me" }]);
+    await new Promise((r) => setTimeout(r, 5));
+    small.create({ owner: "owner", cli: "gemini" });
+    assert.ok(small.get(a.id));
+    assert.strictEqual(small.get(b.id), null);
+  });
+
+  it("rejects malformed IDs and deletes sessions", () => {
+    assert.strictEqual(store.get("../../etc/passwd"), null);
+    assert.strictEqual(store.delete("../x"), false);
+    const { id } = store.create({ owner: "owner", cli: "gemini" });
+    assert.strictEqual(store.delete(id), true);
+    assert.strictEqual(store.get(id), null);
+  });
+});
+
+describe("buildTranscript", () => {
+  const turns = [
+    { role: "user", text: "Analyze 2330.TW" },
+    { role: "assistant", cli: "gemini", text: "TSMC looks strong" },
+    { role: "user", text: "What about its dividend history?" },
+    { role: "assistant", cli: "gemini", text: "Dividends rose every year" },
+  ];
+
+  it("labels every turn, oldest first", () => {
+    assert.strictEqual(
+      buildTranscript(turns, 6000),
+      [
+        "User: Analyze 2330.TW",
+        "Assistant (gemini): TSMC looks strong",
+        "User: What about its dividend history?",
+        "Assistant (gemini): Dividends rose every year",
+      ].join("\n"),
+    );
+    assert.strictEqual(buildTranscript([], 6000), "");
+  });
+
+  it("keeps the newest turns within the budget", () => {
+    const transcript = buildTranscript(turns, 140);
+    assert.ok(transcript.length <= 140);
+    assert.ok(transcript.startsWith("(2 earlier messages omitted)"));
+    assert.ok(transcript.endsWith("Dividends rose every year"));
+  });
+
+  it("shortens long turns", () => {
+    const long = [{ role: "assistant", text: "x".repeat(5000) }];
+    const transcript = buildTranscript(long, 1000);
+    assert.ok(transcript.length < 300);
+    assert.ok(transcript.endsWith("…"));
+  });
+});
@@ -0,0 +1,140 @@
+"use strict";
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+const {
+  createTemplateStore,
+  checkTemplate,
+  validateVars,
+  render,
+  BUILTIN_TEMPLATES,
+} = require("../templates");
+
+describe("Template store", () => {
+  const testDir = path.join(os.tmpdir(), "ai-stocks-templates-test-" + Date.now());
+  let store;
+
+  beforeEach(() => {
+    store = createTemplateStore({ dir: testDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("seeds the built-in templates", () => {
+    assert.deepStrictEqual(
+      store.list().map((t) => t.name),
+      ["compare-peers", "earnings-summary", "fundamental", "technical"],
+    );
+    assert.strictEqual(store.list()[0].text, undefined);
+    assert.strictEqual(store.get("fundamental").version, 1);
+  });
+
+  it("keeps edited files and picks up changes without a restart", () => {
+    const file = path.join(testDir, "fundamental.json");
+    const edited = { ...BUILTIN_TEMPLATES.fundamental, version: 2 };
+    fs.writeFileSync(file, JSON.stringify(edited));
+    assert.strictEqual(store.get("fundamental").version, 2);
+    createTemplateStore({ dir: testDir });
+    assert.strictEqual(store.get("fundamental").version, 2);
+  });
+
+  it("reports broken files and ignores unknown names", () => {
+    fs.writeFileSync(path.join(testDir, "broken.json"), "{");
+    fs.writeFileSync(
+      path.join(testDir, "undeclared.json"),
+      JSON.stringify({ version: 1, vars: {}, text: "About {{ticker}}" }),
+    );
+    assert.match(store.get("broken").error, /Invalid JSON/);
+    assert.match(store.get("undeclared").error, /undeclared variable "ticker"/);
+    assert.strictEqual(store.get("missing"), null);
+    assert.strictEqual(store.get("../secrets"), null);
+    assert.ok(store.list().some((t) => t.name === "broken" && t.error));
+  });
+});
+
+describe("checkTemplate", () => {
+  it("accepts the built-in templates", () => {
+    for (const template of Object.values(BUILTIN_TEMPLATES)) {
+      checkTemplate(template);
+    }
+  });
+
+  it("rejects bad definitions", () => {
+    const base = { version: 1, vars: {}, text: "Hi" };
+    assert.throws(() => checkTemplate({ ...base, version: 0 }), /version/);
+    assert.throws(() => checkTemplate({ ...base, text: "" }), /text/);
+    assert.throws(
+      () => checkTemplate({ ...base, vars: { x: { type: "regex" } } }),
+      /vars\.x\.type/,
+    );
+    assert.throws(
+      () => checkTemplate({ ...base, vars: { x: { type: "enum" } } }),
+      /vars\.x\.values/,
+    );
+  });
+});
+
+describe("validateVars", () => {
+  const { fundamental, "compare-peers": peers } = BUILTIN_TEMPLATES;
+
+  it("fills defaults and upper-cases tickers", () => {
+    assert.deepStrictEqual(validateVars(fundamental, { ticker: "2330.tw" }), {
+      values: { ticker: "2330.TW", period: "annual" },
+    });
+    const { values } = validateVars(peers, {
+      ticker: "nvda",
+      peers: ["amd", "intc"],
+    });
+    assert.deepStrictEqual(values.peers, ["AMD", "INTC"]);
+  });
+
+  it("reports missing, unknown and mistyped variables", () => {
+    const { errors } = validateVars(fundamental, {
+      period: "weekly",
+      extra: 1,
+    });
+    assert.deepStrictEqual(
+      errors.map((e) => [e.path, e.keyword]),
+      [
+        ["$.vars.ticker", "required"],
+        ["$.vars.period", "enum"],
+        ["$.vars.extra", "additionalProperties"],
+      ],
+    );
+    assert.strictEqual(validateVars(fundamental, "AAPL").errors[0].path, "$.vars");
+  });
+
+  it("checks ticker and date formats", () => {
+    const { errors } = validateVars(peers, {
+      ticker: "AAPL; rm -rf",
+      peers: ["MSFT", "$(id)"],
+    });
+    assert.deepStrictEqual(
+      errors.map((e) => [e.path, e.keyword]),
+      [
+        ["$.vars.ticker", "format"],
+        ["$.vars.peers[1]", "format"],
+      ],
+    );
+    const dated = { version: 1, vars: { day: { type: "date" } }, text: "{{day}}" };
+    assert.ok(validateVars(dated, { day: "2026-01-05" }).values);
+    assert.ok(validateVars(dated, { day: "2026-13-45" }).errors);
+  });
+});
+
+describe("render", () => {
+  it("fills placeholders and joins lists", () => {
+    const template = {
+      text: "Compare {{ ticker }} with {{peers}} ({{period}})",
+    };
+    assert.strictEqual(
+      render(template, { ticker: "NVDA", peers: ["AMD", "INTC"], period: "" }),
+      "Compare NVDA with AMD, INTC ()",
+    );
+  });
+});
@@ -69,4 +69,79 @@ describe("Token Auth", () => {
     assert.ok(auth2.getToken());
     assert.notStrictEqual(auth2.getToken(), firstToken);
   });
+
+  it("rotate() issues a new token and persists it", () => {
+    const oldToken = auth.getToken();
+    const newToken = auth.rotate();
+    assert.notStrictEqual(newToken, oldToken);
+    assert.strictEqual(auth.getToken(), newToken);
+    const content = fs.readFileSync(path.join(testDir, "bridge.token"), "utf-8");
+    assert.strictEqual(content.trim(), newToken);
+  });
+
+  it("keeps the previous token valid during the grace window", async () => {
+    const shortGrace = createTokenAuth({ tokenDir: testDir, graceMs: 50 });
+    const oldToken = shortGrace.getToken();
+    const newToken = shortGrace.rotate();
+    assert.strictEqual(shortGrace.validate(oldToken), true);
+    assert.strictEqual(shortGrace.validate(newToken), true);
+    await new Promise((r) => setTimeout(r, 80));
+    assert.strictEqual(shortGrace.validate(oldToken), false);
+    assert.strictEqual(shortGrace.validate(newToken), true);
+  });
+
+  it("revoke() invalidates the old token immediately", () => {
+    const oldToken = auth.getToken();
+    auth.revoke();
+    assert.strictEqual(auth.validate(oldToken), false);
+    assert.strictEqual(auth.validate(auth.getToken()), true);
+  });
+
+  it("picks up a token revoked by another process", () => {
+    const oldToken = auth.getToken();
+    const other = createTokenAuth({ tokenDir: testDir });
+    const fresh = other.revoke();
+    assert.strictEqual(auth.validate(oldToken), false);
+    assert.strictEqual(auth.validate(fresh), true);
+    assert.strictEqual(auth.getToken(), fresh);
+  });
+
+  it("keeps the grace window for a token rotated by another process", () => {
+    const oldToken = auth.getToken();
+    const other = createTokenAuth({ tokenDir: testDir });
+    const fresh = other.rotate();
+    assert.strictEqual(auth.validate(oldToken), true);
+    assert.strictEqual(auth.validate(fresh), true);
+    other.revoke();
+    assert.strictEqual(auth.validate(oldToken), false);
+    assert.ok(!fs.existsSync(path.join(testDir, "bridge.token.prev")));
+  });
+
+  it("rotates automatically once maxAgeMs has passed", async () => {
+    const expiring = createTokenAuth({ tokenDir: testDir, maxAgeMs: 30 });
+    const first = expiring.getToken();
+    assert.ok(expiring.getExpiresAt() > Date.now() - 30);
+    await new Promise((r) => setTimeout(r, 50));
+    // The old token is still accepted within the grace window
+    assert.strictEqual(expiring.validate(first), true);
+    assert.notStrictEqual(expiring.getToken(), first);
+  });
+
+  it("reports no expiry without maxAgeMs", () => {
+    assert.strictEqual(auth.getExpiresAt(), null);
+    assert.ok(auth.getIssuedAt() <= Date.now());
+  });
+
+  it("does not reset the issue time on restart", () => {
+    const tokenFile = path.join(testDir, "bridge.token");
+    const past = new Date(Date.now() - 3600_000);
+    fs.utimesSync(tokenFile, past, past);
+    const auth2 = createTokenAuth({ tokenDir: testDir });
+    assert.ok(auth2.getIssuedAt() <= past.getTime() + 1000);
+  });
+
+  it("rejects tokens of a different length without throwing", () => {
+    assert.strictEqual(auth.validate("x"), false);
+    assert.strictEqual(auth.validate(auth.getToken() + "extra"), false);
+  });
 });
@@ -4,25 +4,87 @@ const fs = require("node:fs");
 const path = require("node:path");
 const os = require("node:os");
 
+// Constant-time comparison; hashing first equalizes lengths
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
 /**
  * Token-based authentication for Bridge.
  * Persists token across restarts — reads existing token from file if available,
- * generates a new one only on first run.
+ * generates a new one only on first run. The token file is re-checked on every
+ * validation, so a token rotated or revoked by another process
+ * (`ai-stocks-bridge token rotate|revoke`) takes effect immediately. A rotation
+ * also writes `bridge.token.prev` with the old token and its grace deadline, so
+ * every process honours the same grace window.
  * @param {object} opts
  * @param {string} opts.tokenDir - Directory to store token file (default ~/.ai-stocks)
+ * @param {number} opts.maxAgeMs - Rotate automatically once the token is this old (default 0 = never)
+ * @param {number} opts.graceMs - How long the previous token stays valid after a rotation (default 5 min)
  */
-function createTokenAuth({ tokenDir } = {}) {
+function createTokenAuth({ tokenDir, maxAgeMs = 0, graceMs = 5 * 60_000 } = {}) {
   const dir = tokenDir || path.join(os.homedir(), ".ai-stocks");
   const tokenFile = path.join(dir, "bridge.token");
+  const prevFile = path.join(dir, "bridge.token.prev");
 
   fs.mkdirSync(dir, { recursive: true });
 
-  // Reuse existing token if available, otherwise generate new one
   let token;
+  let issuedAt;
+  let fileMtime = 0;
+  let previous = null; // { token, validUntil }
+
+  function writeToken(value) {
+    fs.writeFileSync(tokenFile, value + "\n", { mode: 0o600 });
+    fs.chmodSync(tokenFile, 0o600);
+    const stat = fs.statSync(tokenFile);
+    fileMtime = stat.mtimeMs;
+    issuedAt = Date.now();
+  }
+
+  // Grace entry another process left for `replaced`, if still valid
+  function readPrevious(replaced) {
+    try {
+      const prev = JSON.parse(fs.readFileSync(prevFile, "utf-8"));
+      if (prev.token === replaced && Date.now() < prev.validUntil) return prev;
+    } catch {
+      // No rotation in progress
+    }
+    return null;
+  }
+
+  // Adopt a token written by another process; the old one keeps working only
+  // if that process rotated (rather than revoked) it
+  function syncFromFile() {
+    let stat;
+    try {
+      stat = fs.statSync(tokenFile);
+    } catch {
+      writeToken(token);
+      return;
+    }
+    if (stat.mtimeMs === fileMtime) return;
+    const onDisk = fs.readFileSync(tokenFile, "utf-8").trim();
+    fileMtime = stat.mtimeMs;
+    if (onDisk && onDisk !== token) {
+      previous = readPrevious(token);
+      token = onDisk;
+      issuedAt = stat.mtimeMs;
+    }
+  }
+
+  // Reuse existing token if available, otherwise generate new one
   try {
     const existing = fs.readFileSync(tokenFile, "utf-8").trim();
     if (existing) {
       token = existing;
+      const stat = fs.statSync(tokenFile);
+      fileMtime = stat.mtimeMs;
+      issuedAt = stat.mtimeMs;
+      // Ensure correct permissions without touching the issue time
+      fs.chmodSync(tokenFile, 0o600);
     }
   } catch {
     // File doesn't exist or unreadable — will generate new token
@@ -30,23 +92,62 @@ function createTokenAuth({ tokenDir } = {}) {
 
   if (!token) {
     token = crypto.randomUUID();
+    writeToken(token);
   }
 
-  // Always write to ensure file exists with correct permissions
-  fs.writeFileSync(tokenFile, token + "\n", { mode: 0o600 });
-
-  return {
+  const api = {
     getToken() {
       return token;
     },
     validate(input) {
-      if (!input) return false;
-      return input === token;
+      if (!input || typeof input !== "string") return false;
+      syncFromFile();
+      if (maxAgeMs > 0 && Date.now() - issuedAt >= maxAgeMs) {
+        api.rotate();
+      }
+      if (safeEqual(input, token)) return true;
+      return Boolean(
+        previous &&
+          Date.now() < previous.validUntil &&
+          safeEqual(input, previous.token),
+      );
+    },
+    /**
+     * Issue a new token. The old one keeps working for the grace window so
+     * requests already in flight can finish.
+     * @param {object} opts
+     * @param {number} opts.graceMs - Override the configured grace window
+     * @returns {string} The new token
+     */
+    rotate({ graceMs: grace = graceMs } = {}) {
+      previous =
+        grace > 0 ? { token, validUntil: Date.now() + grace } : null;
+      // Written before the new token so other processes always find it
+      if (previous) {
+        fs.writeFileSync(prevFile, JSON.stringify(previous), { mode: 0o600 });
+      } else {
+        fs.rmSync(prevFile, { force: true });
+      }
+      token = crypto.randomUUID();
+      writeToken(token);
+      return token;
+    },
+    /** Replace the token with no grace window for the old one. */
+    revoke() {
+      return api.rotate({ graceMs: 0 });
+    },
+    getIssuedAt() {
+      return issuedAt;
+    },
+    /** Epoch ms when the token auto-rotates, or null if it never expires. */
+    getExpiresAt() {
+      return maxAgeMs > 0 ? issuedAt + maxAgeMs : null;
     },
     getTokenFile() {
       return tokenFile;
     },
   };
+  return api;
 }
 
 module.exports = { createTokenAuth };